@@ -3,11 +3,18 @@
  * MCP-Tester 测试工具服务器
  * 
  * 这是一个专业的MCP工具测试和调试平台，提供完整的测试功能：
- * 1. test_mcp_server - MCP服务器测试（启动、监控、调试）
- * 2. test_tool_functionality - 工具功能测试（参数验证、错误处理）
- * 3. test_performance - 性能测试（响应时间、吞吐量、压力测试）
- * 4. test_integration - 集成测试（多工具协作、端到端测试）
- * 5. test_debug - 调试工具（日志分析、错误诊断、状态监控）
+ * 1. test_mcp_server - MCP服务器测试（连接、能力、工具列表）
+ * 2. call_mcp_tool / batch_test_tools - 单个或批量调用工具
+ * 3. validate_mcp_tools / fuzz_tool - schema验证和边界参数模糊测试
+ * 4. test_performance / soak_test - 性能测试和长时间运行的泄漏检测
+ * 5. run_test_suite / snapshot_test - 测试套件断言和快照回归测试
+ * 6. test_resources / test_prompts - 资源和提示功能测试
+ * 7. test_protocol_conformance / replay_trace - 协议一致性检查和流量回放
+ * 8. diff_servers - 比较两个版本的接口，检测破坏性变更
+ * 9. open_session / list_sessions / close_session - 持久会话
+ * 10. start_server / restart_server / stop_server / server_status - 托管服务器（含文件监视）
+ * 
+ * 命令行模式：mcp-tester run|call|inspect|validate|diff，见 mcp-tester --help
  * 
  * 核心功能：
  * - 服务器管理：启动、停止、重启MCP服务器
@@ -33,12 +40,21 @@
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { LoggingMessageNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 import { spawn, exec } from "child_process";
-import { promisify } from "util";
+import { promisify, parseArgs, isDeepStrictEqual } from "util";
 import path from "path";
 import fs from "fs/promises";
+import { createWriteStream, readFileSync, realpathSync, watch as fsWatch } from "fs";
+import { fileURLToPath } from "url";
 import { EventEmitter } from "events";
+import YAML from "yaml";
+import Ajv from "ajv";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
 
 const execAsync = promisify(exec);
 
@@ -51,6 +67,7 @@ const execAsync = promisify(exec);
  *   - 带空格的路径："D:\My Path\File.js"
  *   - 相对路径：./file.js 或 ../folder/file.js
  *   - 带命令的路径：node D:\Path\script.js 或 "node" "D:\Path\script.js"
+ *   - 其他命令：npx -y package、uvx package、docker run -i image（scriptPath为空）
  * @returns {object} 返回 {executable, scriptPath, args} 对象
  */
 function parseServerCommand(inputPath) {
@@ -107,6 +124,10 @@ function parseServerCommand(inputPath) {
     executable = parts[0];
     scriptPath = parts[1] || '';
     args = parts.slice(2);
+  } else if (!/[\\/]/.test(parts[0]) && !/\.([cm]?[jt]s|py)$/i.test(parts[0])) {
+    // 不含路径分隔符也没有脚本扩展名的视为命令名（npx、uvx、docker等），直接执行
+    executable = parts[0];
+    args = parts.slice(1);
   } else {
     // 假设整个输入是脚本路径
     scriptPath = parts[0];
@@ -126,27 +147,179 @@ function parseServerCommand(inputPath) {
   };
 }
 
+// 目标服务器stderr环形缓冲区保留的最大行数
+const STDERR_BUFFER_LINES = 200;
+
+// 本工具了解的MCP协议版本，按从旧到新排列
+const KNOWN_PROTOCOL_VERSIONS = ['2024-11-05', '2025-03-26', '2025-06-18', '2025-11-25'];
+// 服务器发起的请求在应答规则未给出result时使用的默认模拟结果
+const DEFAULT_SERVER_REQUEST_RESULTS = {
+  'sampling/createMessage': {
+    role: 'assistant',
+    content: { type: 'text', text: 'mcp-tester模拟回复' },
+    model: 'mcp-tester-mock',
+    stopReason: 'endTurn'
+  },
+  'elicitation/create': { action: 'decline' },
+  'roots/list': { roots: [] }
+};
+
+// logging/setLevel支持的日志级别（RFC 5424），从低到高
+const LOGGING_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// /proc/<pid>/stat中CPU时间的单位（USER_HZ），Linux上固定为100
+const PROC_CLOCK_TICKS = 100;
+
+// soak_test中RSS回落超过该值(字节)视为发生了垃圾回收
+const GC_DROP_BYTES = 1024 * 1024;
+
+// 没有观察到垃圾回收时，RSS增长超过泄漏阈值的倍数且线性拟合度达到R²下限才判定为泄漏
+const LEAK_STRONG_FACTOR = 10;
+const LEAK_MIN_R2 = 0.95;
+
+// batch_test_tools并行模式的默认并发数
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+// diff_servers的变更级别，从低到高，none表示没有变化
+const SEMVER_LEVELS = ['none', 'patch', 'minor', 'major'];
+
+// JSON Schema中取值变大即收紧限制的关键字，以及取值变小即收紧限制的关键字
+const SCHEMA_LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const SCHEMA_UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+
+// 测试报告的输出格式
+const REPORT_FORMATS = ['markdown', 'json', 'junit', 'tap'];
+
+// 命令行模式调用测试工具的超时上限(毫秒)，单个请求的超时仍由request_timeout_ms控制
+const CLI_CALL_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+// 命令行模式的用法说明
+const CLI_USAGE = `用法:
+  mcp-tester                              作为stdio MCP服务器启动（供AI客户端使用）
+  mcp-tester run <suite> [--server <cmd|url>] [--format <fmt>] [--html <file>] [--log-level <level>] [--stop-on-error]
+                                          执行测试套件文件
+  mcp-tester call <server> <tool> [--args '<json>'] [--log-level <level>]
+                                          调用单个工具
+  mcp-tester inspect <server> [--format <fmt>] [--html <file>]
+                                          检查服务器的连接、能力和工具列表
+  mcp-tester validate <server> [--tool <name>] [--format <fmt>] [--html <file>]
+                                          验证工具schema和响应
+  mcp-tester diff <base> <head> [--fail-on major|minor|patch|never]
+                                          比较两个版本服务器的接口，检测破坏性变更
+
+<server> 为服务器启动命令（如 "node server.js"）或以http(s)://开头的远程地址；
+指定 --config 时为配置文件mcpServers中的服务器名称
+
+通用选项:
+  --config <file>           mcpServers格式的服务器配置文件
+  --header "名称: 值"       远程服务器请求头，可重复
+  --transport http|sse      远程传输方式，默认http
+  --timeout <ms>            每个请求的超时时间
+  --trace <file>            把协议流量记录到JSONL文件
+  --protocol-version <ver>  initialize时请求的协议版本
+  --stream-stderr           把目标服务器的stderr实时输出到标准错误
+  --format <fmt>            报告格式：${REPORT_FORMATS.join('|')}（run、inspect、validate）
+  --html <file>             同时写入HTML报告（run、inspect、validate）
+  -h, --help                显示帮助
+  -v, --version             显示版本
+
+退出码: 0 全部通过，1 存在失败，2 用法错误或执行出错`;
+
+// 请求的默认超时时间(毫秒)
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+// 未指定protocol_version时initialize请求的版本
+const DEFAULT_PROTOCOL_VERSION = '2024-11-05';
+
+// 快照测试内置的脱敏规则，屏蔽每次调用都会变化的时间戳和UUID
+const DEFAULT_SNAPSHOT_REDACTIONS = [
+  { pattern: '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(?:\\.\\d+)?(?:Z|[+-]\\d{2}:\\d{2})?', replacement: '[TIMESTAMP]' },
+  { pattern: '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}', replacement: '[UUID]', flags: 'gi' }
+];
+
+// 作为clientInfo.version和本服务器版本上报
+const PACKAGE_VERSION = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf-8')).version;
+
+// 协议一致性检查引用的规范章节
+const MCP_SPEC_URL = 'https://modelcontextprotocol.io/specification/2025-06-18';
+const MCP_SPEC_REFS = {
+  lifecycle: { label: 'lifecycle#initialization', url: `${MCP_SPEC_URL}/basic/lifecycle#initialization` },
+  versionNegotiation: { label: 'lifecycle#version-negotiation', url: `${MCP_SPEC_URL}/basic/lifecycle#version-negotiation` },
+  messages: { label: 'basic#requests', url: `${MCP_SPEC_URL}/basic#requests` },
+  ping: { label: 'utilities/ping', url: `${MCP_SPEC_URL}/basic/utilities/ping` },
+  cancellation: { label: 'utilities/cancellation', url: `${MCP_SPEC_URL}/basic/utilities/cancellation` },
+  toolErrors: { label: 'tools#error-handling', url: `${MCP_SPEC_URL}/server/tools#error-handling` },
+  jsonrpcErrors: { label: 'JSON-RPC 2.0 §5.1', url: 'https://www.jsonrpc.org/specification#error_object' },
+  jsonrpcNotification: { label: 'JSON-RPC 2.0 §4.1', url: 'https://www.jsonrpc.org/specification#notification' },
+  jsonrpcResponse: { label: 'JSON-RPC 2.0 §5', url: 'https://www.jsonrpc.org/specification#response_object' }
+};
+
 // MCP客户端类，用于真实的MCP通信
 class MCPClient extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} options - 客户端设置
+   * @param {string} options.protocolVersion - initialize时请求的协议版本
+   * @param {object} options.capabilities - initialize时声明的客户端能力，未指定时根据应答规则推断
+   * @param {Array} options.serverRequests - 服务器发起请求的应答规则 [{method, match, result, error}]
+   * @param {Array} options.roots - roots/list返回的根目录
+   * @param {number} options.requestTimeoutMs - 请求的默认超时时间(毫秒)
+   */
+  constructor(options = {}) {
     super();
+    this.options = {
+      protocolVersion: options.protocolVersion || DEFAULT_PROTOCOL_VERSION,
+      capabilities: options.capabilities || deriveClientCapabilities(options),
+      // 规则中的正则在创建时编译，写错时立即报错
+      serverRequests: (options.serverRequests || []).map(rule => ({ ...rule, pattern: rule.match ? new RegExp(rule.match) : null })),
+      roots: options.roots || null,
+      requestTimeoutMs: options.requestTimeoutMs || DEFAULT_REQUEST_TIMEOUT_MS
+    };
+    // 服务器发起的请求及本客户端的应答记录
+    this.serverRequests = [];
+    this.nextProgressToken = 1;
     this.process = null;
     this.messageBuffer = '';
     this.pendingRequests = new Map();
+    // 已取消（含超时）的请求，以及取消后仍然到达的迟到响应
+    this.cancelledRequests = new Map();
+    this.lateResponses = [];
     this.nextId = 1;
     this.initialized = false;
+    // initialize请求的协议版本和服务器协商后的版本
+    this.requestedProtocolVersion = null;
+    this.protocolVersion = null;
     this.tools = [];
     this.resources = [];
     this.prompts = [];
+    this.resourceTemplates = [];
+    // 传输方式：stdio（子进程）、http（Streamable HTTP）或sse（旧版HTTP+SSE）
+    this.transportType = null;
+    this.remote = null;
+    // 目标进程诊断信息：stderr最近若干行、退出状态
+    this.stderrLines = [];
+    this.stderrBuffer = '';
+    this.exitInfo = null;
+    this.disconnecting = false;
+    // 协议记录：{file, stream, frames, startedAt, error}，停止后保留统计信息
+    this.trace = null;
   }
 
-  async connect(command, args = []) {
+  /**
+   * 启动子进程并通过stdio连接
+   * @param {string} command - 可执行文件
+   * @param {string[]} args - 启动参数
+   * @param {object} options - {env, cwd}，env与当前进程的环境变量合并
+   */
+  async connect(command, args = [], { env, cwd } = {}) {
+    this.transportType = 'stdio';
     return new Promise((resolve, reject) => {
       try {
         // 启动MCP服务器进程
         this.process = spawn(command, args, {
           stdio: 'pipe',
-          shell: process.platform === 'win32'
+          shell: process.platform === 'win32',
+          env: env ? { ...process.env, ...env } : process.env,
+          cwd
         });
 
         // 处理stdout数据
@@ -155,11 +328,19 @@ class MCPClient extends EventEmitter {
           this.processMessages();
         });
 
-        // 处理stderr（调试信息）
+        // 处理stderr（调试信息），按行保存到环形缓冲区
         this.process.stderr.on('data', (data) => {
-          //console.log('[MCP Server Debug]:', data.toString());
+          this.stderrBuffer += data.toString();
+          const lines = this.stderrBuffer.split('\n');
+          this.stderrBuffer = lines.pop() || '';
+          for (const line of lines) {
+            this.recordStderr(line.replace(/\r$/, ''));
+          }
         });
 
+        // 进程退出后写入stdin会触发EPIPE，由writeMessage的状态检查给出错误
+        this.process.stdin.on('error', () => {});
+
         // 处理进程错误
         this.process.on('error', (error) => {
           reject(new Error(`启动MCP服务器失败: ${error.message}`));
@@ -167,9 +348,27 @@ class MCPClient extends EventEmitter {
 
         // 进程退出处理
         this.process.on('exit', (code, signal) => {
-          if (code !== 0 && code !== null && signal !== 'SIGTERM') {
-            //console.log(`MCP服务器异常退出，退出码: ${code}, 信号: ${signal}`);
+          if (this.stderrBuffer) {
+            this.recordStderr(this.stderrBuffer);
+            this.stderrBuffer = '';
+          }
+          this.exitInfo = {
+            code,
+            signal,
+            time: new Date(),
+            // 是否在initialize完成之前退出（启动失败）
+            beforeInitialize: !this.initialized,
+            // 是否由disconnect主动结束
+            expected: this.disconnecting
+          };
+          this.emit('exit', this.exitInfo);
+
+          // 进程已退出，未完成的请求不会再有响应
+          for (const pending of this.pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error(`MCP服务器进程已退出 (退出码: ${code}, 信号: ${signal})`));
           }
+          this.pendingRequests.clear();
         });
 
         // 延迟一下确保进程启动
@@ -180,33 +379,295 @@ class MCPClient extends EventEmitter {
     });
   }
 
+  /**
+   * 连接远程MCP服务器
+   * @param {string} url - 服务器地址
+   * @param {object} options - {headers, transport}，transport为 'http'（Streamable HTTP）或 'sse'（旧版HTTP+SSE）
+   */
+  async connectRemote(url, { headers = {}, transport = 'http' } = {}) {
+    this.transportType = transport;
+    this.remote = {
+      url,
+      headers,
+      postUrl: url,
+      sessionId: null,
+      protocolVersion: null,
+      abortController: new AbortController()
+    };
+
+    if (transport === 'sse') {
+      await this.openSseStream();
+    }
+  }
+
+  // 旧版SSE传输：先建立GET事件流，等待服务器通过endpoint事件告知POST地址
+  async openSseStream() {
+    const { url, headers, abortController } = this.remote;
+    const response = await fetch(url, {
+      headers: { Accept: 'text/event-stream', ...headers },
+      signal: abortController.signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`连接SSE端点失败: HTTP ${response.status} ${response.statusText}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      let endpointReceived = false;
+      const timer = setTimeout(() => {
+        if (!endpointReceived) {
+          reject(new Error('等待SSE endpoint事件超时'));
+        }
+      }, 10000);
+
+      readEventStream(response.body, (event) => {
+        if (event.event === 'endpoint') {
+          this.remote.postUrl = new URL(event.data, url).href;
+          endpointReceived = true;
+          clearTimeout(timer);
+          resolve();
+        } else if (event.event === 'message') {
+          this.processRawMessage(event.data);
+        }
+      }).catch((error) => {
+        clearTimeout(timer);
+        if (!endpointReceived) {
+          reject(new Error(`SSE连接中断: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  // Streamable HTTP传输：初始化后尝试建立GET事件流接收服务器主动发送的消息（服务器可不支持）
+  async openHttpListenStream() {
+    try {
+      const response = await fetch(this.remote.url, {
+        headers: { Accept: 'text/event-stream', ...this.remoteHeaders() },
+        signal: this.remote.abortController.signal
+      });
+      if (!response.ok || !response.body) return;
+      await readEventStream(response.body, (event) => {
+        if (event.event === 'message') {
+          this.processRawMessage(event.data);
+        }
+      });
+    } catch (e) {
+      // 服务器不支持GET流或连接已关闭
+    }
+  }
+
+  remoteHeaders() {
+    const headers = { ...this.remote.headers };
+    if (this.remote.sessionId) {
+      headers['Mcp-Session-Id'] = this.remote.sessionId;
+    }
+    if (this.remote.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.remote.protocolVersion;
+    }
+    return headers;
+  }
+
+  // 通过HTTP POST发送一条JSON-RPC消息，响应可能是JSON或SSE流
+  // message可以是JSON-RPC消息对象或已序列化的原始文本
+  async postMessage(message) {
+    const response = await fetch(this.remote.postUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...this.remoteHeaders()
+      },
+      body: typeof message === 'string' ? message : JSON.stringify(message),
+      signal: this.remote.abortController.signal
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.remote.sessionId = sessionId;
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      // 错误状态码可能附带JSON-RPC错误响应（如解析错误、未初始化），按正常消息处理
+      if (/^\s*[[{]/.test(body)) {
+        this.processRawMessage(body);
+      }
+      throw new Error(`HTTP ${response.status} ${response.statusText}${body ? `: ${body.slice(0, 200)}` : ''}`);
+    }
+
+    // 旧版SSE的响应从事件流返回；202表示通知已接收
+    if (this.transportType === 'sse' || response.status === 202 || !response.body) {
+      return;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      await readEventStream(response.body, (event) => {
+        if (event.event === 'message') {
+          this.processRawMessage(event.data);
+        }
+      });
+    } else {
+      const text = await response.text();
+      if (text.trim()) {
+        this.processRawMessage(text);
+      }
+    }
+  }
+
+  // 发送一条JSON-RPC消息，屏蔽不同传输方式的差异
+  async writeMessage(message) {
+    this.recordFrame('out', { message });
+    return this.sendPayload(JSON.stringify(message));
+  }
+
+  // 原样发送一段文本（可以不是合法JSON），用于协议一致性检查
+  async writeRaw(text) {
+    this.recordFrame('out', { raw: text });
+    return this.sendPayload(text);
+  }
+
+  async sendPayload(text) {
+    if (this.transportType === 'http' || this.transportType === 'sse') {
+      return this.postMessage(text);
+    }
+    if (!this.isConnected()) {
+      throw new Error(this.exitInfo
+        ? `MCP服务器进程已退出 (退出码: ${this.exitInfo.code}, 信号: ${this.exitInfo.signal})`
+        : 'MCP服务器未连接');
+    }
+    this.process.stdin.write(text + '\n');
+  }
+
+  recordStderr(line) {
+    this.stderrLines.push(line);
+    if (this.stderrLines.length > STDERR_BUFFER_LINES) {
+      this.stderrLines.shift();
+    }
+    this.emit('stderr', line);
+  }
+
+  // 获取目标进程的诊断信息
+  getDiagnostics() {
+    return {
+      transport: this.transportType,
+      pid: this.process?.pid ?? null,
+      stderr: [...this.stderrLines],
+      exit: this.exitInfo,
+      serverRequests: [...this.serverRequests],
+      lateResponses: [...this.lateResponses],
+      protocol: this.initialized ? { requested: this.requestedProtocolVersion, negotiated: this.protocolVersion } : null,
+      trace: this.trace ? { file: this.trace.file, frames: this.trace.frames, error: this.trace.error } : null
+    };
+  }
+
+  /**
+   * 开始把收发的每一帧JSON-RPC消息记录到JSONL文件
+   * @param {string} filePath - 记录文件路径
+   * @param {object} options - {append}，为true时追加到已有文件（如重启后的新连接）
+   */
+  startTrace(filePath, { append = false } = {}) {
+    if (this.trace?.stream) {
+      throw new Error(`该连接已在记录协议流量: ${this.trace.file}`);
+    }
+    const file = path.resolve(filePath);
+    const stream = createWriteStream(file, { flags: append ? 'a' : 'w' });
+    const trace = { file, stream, frames: 0, startedAt: Date.now(), error: null };
+    stream.on('error', (error) => {
+      trace.error = error.message;
+    });
+    this.trace = trace;
+  }
+
+  // 记录一帧，direction为 'out'（发往目标服务器）或 'in'（来自目标服务器）
+  recordFrame(direction, frame) {
+    if (!this.trace?.stream) return;
+    this.trace.frames++;
+    this.trace.stream.write(JSON.stringify({
+      ts: new Date().toISOString(),
+      elapsed_ms: Date.now() - this.trace.startedAt,
+      direction,
+      transport: this.transportType,
+      ...frame
+    }) + '\n');
+  }
+
+  // 停止记录，返回的Promise在文件写完后完成
+  stopTrace() {
+    const stream = this.trace?.stream;
+    if (!stream) return Promise.resolve();
+    this.trace.stream = null;
+    return new Promise((resolve) => {
+      stream.once('close', resolve);
+      stream.end();
+    });
+  }
+
   processMessages() {
     const lines = this.messageBuffer.split('\n');
     this.messageBuffer = lines.pop() || '';
 
     for (const line of lines) {
       if (line.trim()) {
-        try {
-          const message = JSON.parse(line.trim());
-          this.handleMessage(message);
-        } catch (e) {
-          // 忽略非JSON行
-        }
+        this.processRawMessage(line.trim());
+      }
+    }
+  }
+
+  // 解析一条原始消息，支持JSON-RPC批量数组
+  processRawMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (e) {
+      // 非JSON行不参与协议处理，但保留在记录中便于排查
+      this.recordFrame('in', { raw, error: `非JSON消息: ${e.message}` });
+      return;
+    }
+
+    this.recordFrame('in', { message });
+    for (const item of Array.isArray(message) ? message : [message]) {
+      if (item && typeof item === 'object') {
+        this.emit('message', item);
+        this.handleMessage(item);
       }
     }
   }
 
   handleMessage(message) {
+    // 同时带有method和id的是服务器发起的请求
+    if (message.method && message.id !== undefined) {
+      this.handleServerRequest(message);
+      return;
+    }
+
     // 处理响应
     if (message.id !== undefined) {
       const pending = this.pendingRequests.get(message.id);
       if (pending) {
+        clearTimeout(pending.timer);
         if (message.error) {
-          pending.reject(new Error(message.error.message || 'Unknown error'));
+          // 保留JSON-RPC错误码，便于区分协议错误和传输错误
+          const error = new Error(message.error.message || 'Unknown error');
+          error.code = message.error.code;
+          error.data = message.error.data;
+          pending.reject(error);
         } else {
           pending.resolve(message.result);
         }
         this.pendingRequests.delete(message.id);
+      } else if (this.cancelledRequests.has(message.id)) {
+        // 已取消或超时的请求仍收到响应，说明服务器没有停止处理
+        const cancelled = this.cancelledRequests.get(message.id);
+        this.cancelledRequests.delete(message.id);
+        const entry = {
+          id: message.id,
+          method: cancelled.method,
+          reason: cancelled.reason,
+          afterCancelMs: Date.now() - cancelled.cancelledAt,
+          error: message.error || null
+        };
+        this.lateResponses.push(entry);
+        this.emit('lateResponse', entry);
       }
     }
     
@@ -216,7 +677,49 @@ class MCPClient extends EventEmitter {
     }
   }
 
-  async sendRequest(method, params = {}) {
+  // 按应答规则回复服务器发起的请求（sampling、elicitation、roots等）
+  async handleServerRequest(message) {
+    const paramsText = JSON.stringify(message.params ?? {});
+    const ruleIndex = this.options.serverRequests.findIndex(rule =>
+      rule.method === message.method && (!rule.pattern || rule.pattern.test(paramsText)));
+    const rule = this.options.serverRequests[ruleIndex];
+
+    let reply;
+    if (rule) {
+      reply = rule.error
+        ? { error: rule.error, source: `规则 #${ruleIndex + 1}` }
+        : { result: rule.result ?? DEFAULT_SERVER_REQUEST_RESULTS[message.method] ?? {}, source: `规则 #${ruleIndex + 1}` };
+    } else if (message.method === 'ping') {
+      reply = { result: {}, source: '内置' };
+    } else if (message.method === 'roots/list' && this.options.roots) {
+      reply = { result: { roots: this.options.roots }, source: 'roots参数' };
+    } else {
+      reply = {
+        error: { code: -32601, message: `mcp-tester未配置 ${message.method} 的应答，请通过client_responses提供` },
+        source: '未配置'
+      };
+    }
+
+    const entry = { time: new Date(), id: message.id, method: message.method, params: message.params, ...reply };
+    this.serverRequests.push(entry);
+    this.emit('serverRequest', entry);
+
+    try {
+      await this.writeMessage({
+        jsonrpc: '2.0',
+        id: message.id,
+        ...(reply.error ? { error: reply.error } : { result: reply.result })
+      });
+    } catch (error) {
+      entry.sendError = error.message;
+    }
+  }
+
+  /**
+   * 发送请求并等待响应
+   * @param {object} options - {timeoutMs, signal}：timeoutMs覆盖客户端的默认超时；signal中止时取消该请求
+   */
+  async sendRequest(method, params = {}, { timeoutMs = this.options.requestTimeoutMs, signal } = {}) {
     return new Promise((resolve, reject) => {
       const id = this.nextId++;
       const request = {
@@ -226,43 +729,90 @@ class MCPClient extends EventEmitter {
         params
       };
 
-      this.pendingRequests.set(id, { resolve, reject });
+      const pending = { method, resolve, reject, timer: null };
+      this.pendingRequests.set(id, pending);
 
-      try {
-        this.process.stdin.write(JSON.stringify(request) + '\n');
-      } catch (error) {
-        this.pendingRequests.delete(id);
-        reject(error);
-      }
+      Promise.resolve()
+        .then(() => this.writeMessage(request))
+        .catch((error) => {
+          if (this.pendingRequests.has(id)) {
+            clearTimeout(pending.timer);
+            this.pendingRequests.delete(id);
+            reject(error);
+          }
+        });
 
-      // 设置超时
-      setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error(`请求超时: ${method}`));
+      // 设置超时，超时后通知服务器取消处理（规范不允许取消initialize）
+      pending.timer = setTimeout(() => {
+        const error = Object.assign(new Error(`请求超时: ${method} (${timeoutMs}ms)`), { timeout: true });
+        if (method === 'initialize') {
+          if (this.pendingRequests.delete(id)) reject(error);
+        } else {
+          this.cancelRequest(id, `请求超时 (${timeoutMs}ms)`, error);
         }
-      }, 30000);
+      }, timeoutMs);
+
+      signal?.addEventListener('abort', () => {
+        this.cancelRequest(id, typeof signal.reason === 'string' ? signal.reason : '客户端取消');
+      }, { once: true });
     });
   }
 
-  async initialize() {
-    const result = await this.sendRequest('initialize', {
-      protocolVersion: '2024-11-05',
-      capabilities: {},
-      clientInfo: { name: 'mcp-tester', version: '1.0.0' }
-    });
+  /**
+   * 取消进行中的请求：发送notifications/cancelled并立即结束等待，之后到达的响应记录为迟到响应
+   * @param {number} id - 请求ID
+   * @param {string} reason - 取消原因
+   * @param {Error} error - 以该错误结束等待，默认为带cancelled标记的错误
+   * @returns {boolean} 请求是否仍在进行中
+   */
+  cancelRequest(id, reason, error = Object.assign(new Error(`请求已取消: ${reason}`), { cancelled: true })) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return false;
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(id);
+    this.cancelledRequests.set(id, { method: pending.method, reason, cancelledAt: Date.now() });
+    this.writeMessage({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: id, reason }
+    }).catch(() => {});
+    pending.reject(error);
+    return true;
+  }
+
+  /**
+   * 初始化连接
+   * @param {object} params - 覆盖默认的initialize参数（如回放记录中的原始参数）
+   */
+  async initialize(params = {}) {
+    const requestParams = {
+      protocolVersion: this.options.protocolVersion,
+      capabilities: this.options.capabilities,
+      clientInfo: { name: 'mcp-tester', version: PACKAGE_VERSION },
+      ...params
+    };
+    const result = await this.sendRequest('initialize', requestParams);
     
     this.initialized = true;
+    this.requestedProtocolVersion = requestParams.protocolVersion;
+    this.protocolVersion = result.protocolVersion || null;
+    if (this.remote) {
+      this.remote.protocolVersion = result.protocolVersion || null;
+    }
     
     // 发送initialized通知
     try {
-      this.process.stdin.write(JSON.stringify({
+      await this.writeMessage({
         jsonrpc: '2.0',
         method: 'notifications/initialized'
-      }) + '\n');
+      });
     } catch (e) {
       // 忽略错误
     }
+
+    if (this.transportType === 'http') {
+      this.openHttpListenStream();
+    }
     
     return result;
   }
@@ -273,11 +823,25 @@ class MCPClient extends EventEmitter {
     return this.tools;
   }
 
-  async callTool(name, args = {}) {
+  /**
+   * 调用工具
+   * @param {object} options - {progressToken, timeoutMs, signal}：指定progressToken后服务器可以发送该token的进度通知，其余同sendRequest
+   */
+  async callTool(name, args = {}, { progressToken, timeoutMs, signal } = {}) {
     return await this.sendRequest('tools/call', {
       name,
-      arguments: args
-    });
+      arguments: args,
+      ...(progressToken !== undefined ? { _meta: { progressToken } } : {})
+    }, { timeoutMs, signal });
+  }
+
+  // 生成本连接内唯一的progressToken
+  createProgressToken() {
+    return `mcp-tester-progress-${this.nextProgressToken++}`;
+  }
+
+  async setLoggingLevel(level) {
+    return await this.sendRequest('logging/setLevel', { level });
   }
 
   async listResources() {
@@ -302,91 +866,558 @@ class MCPClient extends EventEmitter {
     }
   }
 
+  async listResourceTemplates() {
+    try {
+      const result = await this.sendRequest('resources/templates/list');
+      this.resourceTemplates = result.resourceTemplates || [];
+      return this.resourceTemplates;
+    } catch (e) {
+      // 服务器可能不支持资源模板
+      return [];
+    }
+  }
+
+  async getPrompt(name, args = {}) {
+    return await this.sendRequest('prompts/get', {
+      name,
+      arguments: args
+    });
+  }
+
+  async readResource(uri) {
+    return await this.sendRequest('resources/read', { uri });
+  }
+
+  async subscribeResource(uri) {
+    return await this.sendRequest('resources/subscribe', { uri });
+  }
+
+  async unsubscribeResource(uri) {
+    return await this.sendRequest('resources/unsubscribe', { uri });
+  }
+
+  /**
+   * 等待服务器发送指定的通知
+   * @param {string} method - 通知方法名
+   * @param {function} predicate - 额外的匹配条件，参数为通知消息
+   * @param {number} timeoutMs - 超时时间(毫秒)
+   * @returns {Promise<object|null>} 匹配的通知，超时返回null
+   */
+  waitForNotification(method, predicate = () => true, timeoutMs = 5000) {
+    return new Promise((resolve) => {
+      const onNotification = (message) => {
+        if (message.method === method && predicate(message)) {
+          clearTimeout(timer);
+          this.off('notification', onNotification);
+          resolve(message);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.off('notification', onNotification);
+        resolve(null);
+      }, timeoutMs);
+      this.on('notification', onNotification);
+    });
+  }
+
+  // 判断与目标服务器的连接是否仍然可用
+  isConnected() {
+    if (this.transportType === 'stdio') {
+      return !!this.process && this.process.exitCode === null && this.process.signalCode === null;
+    }
+    return !!this.remote;
+  }
+
   disconnect() {
     if (this.process) {
+      this.disconnecting = true;
       this.process.kill();
       this.process = null;
     }
+    if (this.remote) {
+      // Streamable HTTP会话需要显式删除，失败时忽略
+      if (this.transportType === 'http' && this.remote.sessionId) {
+        fetch(this.remote.url, { method: 'DELETE', headers: this.remoteHeaders() }).catch(() => {});
+      }
+      this.remote.abortController.abort();
+      this.remote = null;
+    }
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+    }
     this.pendingRequests.clear();
+    this.stopTrace();
   }
 }
 
-// 创建一个 MCP 服务器实例
-const server = new McpServer({
-  name: "mcp-tester",
-  version: "1.0.0"
-});
+/**
+ * 读取SSE事件流，逐个回调解析出的事件
+ * @param {ReadableStream} body - fetch响应体
+ * @param {function} onEvent - 回调，参数为 {event, data}
+ */
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
 
-// 注册 test_mcp_server 工具
-server.registerTool("test_mcp_server", {
-  title: "Test MCP Server",
-  description: "测试指定的MCP服务器，检查其工具列表和基本功能",
-  inputSchema: {
-    server_command: z.string().optional().describe("启动MCP服务器的命令，如：node path/to/server.js。如未指定，将使用TARGET_MCP_SERVER环境变量"),
-    server_args: z.array(z.string()).default([]).describe("服务器启动参数"),
-    timeout: z.number().default(30).describe("测试超时时间(秒)")
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (let line of lines) {
+      if (line.endsWith('\r')) {
+        line = line.slice(0, -1);
+      }
+
+      // 空行表示一个事件结束
+      if (line === '') {
+        if (dataLines.length > 0) {
+          onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+        }
+        eventName = '';
+        dataLines = [];
+        continue;
+      }
+
+      // 以冒号开头的是注释（心跳）
+      if (line.startsWith(':')) continue;
+
+      const colonIndex = line.indexOf(':');
+      const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+      const value = colonIndex === -1 ? '' : line.slice(colonIndex + 1).replace(/^ /, '');
+      if (field === 'event') {
+        eventName = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    }
   }
-}, async ({ server_command, server_args = [], timeout = 30 }) => {
-  // 支持从环境变量读取默认的服务器命令
-  const defaultServerCommand = process.env.TARGET_MCP_SERVER;
-  const finalServerCommand = server_command || defaultServerCommand;
-  
-  if (!finalServerCommand) {
-    throw new Error("请指定server_command参数或设置TARGET_MCP_SERVER环境变量");
+}
+
+// 命名服务器参数：从mcpServers格式的配置文件中按名称选择目标服务器，与Claude Desktop、Cursor等客户端的配置通用
+const namedServerSchema = {
+  server_name: z.string().optional().describe("配置文件mcpServers中的服务器名称，指定后忽略server_command/server_url，按配置的command、args、env、cwd（或url、headers）连接"),
+  server_config: z.string().optional().describe("mcpServers格式的配置文件路径，如 {\"mcpServers\": {\"名称\": {\"command\": \"npx\", \"args\": [\"-y\", \"pkg\"], \"env\": {}, \"cwd\": \".\"}}}。如未指定，将使用MCP_SERVERS_CONFIG环境变量")
+};
+
+// 远程服务器连接参数，可与server_command二选一
+const remoteServerSchema = {
+  server_url: z.string().url().optional().describe("远程MCP服务器地址（与server_command二选一），如：http://localhost:3000/mcp"),
+  server_headers: z.record(z.string()).default({}).describe("连接远程服务器时附加的HTTP请求头，如 {\"Authorization\": \"Bearer xxx\"}"),
+  server_transport: z.enum(["http", "sse"]).default("http").describe("远程传输方式：http为Streamable HTTP，sse为旧版HTTP+SSE")
+};
+
+/**
+ * 按工具参数连接目标服务器：指定了server_name时按配置文件中的条目连接，
+ * 指定了server_url时走HTTP/SSE，否则解析server_command启动子进程
+ * @param {MCPClient} client - 客户端实例
+ * @param {object} target - {server_name, server_config, server_command, server_url, server_headers, server_transport}
+ * @param {string[]} extraArgs - 追加的启动参数（仅stdio）
+ * @returns {Promise<string>} 用于报告显示的目标描述
+ */
+async function connectTarget(client, { server_name, server_config, server_command, server_url, server_headers = {}, server_transport = 'http' }, extraArgs = []) {
+  if (server_name) {
+    const entry = await resolveNamedServer(server_name, server_config);
+    if (entry.url) {
+      await client.connectRemote(entry.url, { headers: entry.headers, transport: entry.transport });
+      return `${server_name} (${entry.url})`;
+    }
+    await client.connect(entry.command, [...entry.args, ...extraArgs], { env: entry.env, cwd: entry.cwd });
+    return `${server_name} (${[entry.command, ...entry.args].join(' ')})`;
+  }
+
+  if (server_url) {
+    await client.connectRemote(server_url, { headers: server_headers, transport: server_transport });
+    return `${server_url} (${server_transport === 'sse' ? 'SSE' : 'Streamable HTTP'})`;
+  }
+
+  if (!server_command) {
+    throw new Error("请指定server_command、server_url或server_name参数");
   }
 
   // 使用统一的路径解析函数
-  const parsedCommand = parseServerCommand(finalServerCommand);
-  const { executable, scriptPath, args: parsedArgs } = parsedCommand;
-  const allArgs = [scriptPath, ...parsedArgs, ...server_args];
-  
-  // 验证文件是否存在
-  try {
-    const fullPath = path.resolve(scriptPath);
-    await fs.access(fullPath);
-  } catch (error) {
-    throw new Error(`找不到文件: ${scriptPath}\n请检查路径是否正确。\n原始输入: ${finalServerCommand}\n解析结果: 可执行文件=${executable}, 脚本路径=${scriptPath}`);
+  const { executable, scriptPath, args: parsedArgs } = parseServerCommand(server_command);
+  await client.connect(executable, [...(scriptPath ? [scriptPath] : []), ...parsedArgs, ...extraArgs]);
+  return server_command;
+}
+
+/**
+ * 从mcpServers配置文件中取出指定名称的服务器，并规范化为连接参数
+ * @param {string} name - 服务器名称
+ * @param {string} configPath - 配置文件路径，默认读取MCP_SERVERS_CONFIG环境变量
+ * @returns {Promise<object>} stdio为 {command, args, env, cwd}，远程为 {url, headers, transport}
+ */
+async function resolveNamedServer(name, configPath = process.env.MCP_SERVERS_CONFIG) {
+  if (!configPath) {
+    throw new Error("使用server_name时请指定server_config参数，或设置MCP_SERVERS_CONFIG环境变量");
+  }
+  const servers = await loadServerConfig(configPath);
+  const entry = servers[name];
+  if (!entry) {
+    const available = Object.keys(servers);
+    throw new Error(`配置文件 ${configPath} 中没有名为 ${name} 的服务器。${available.length > 0 ? `可用的服务器: ${available.join(', ')}` : 'mcpServers为空'}`);
   }
+  validateServerEntry(name, entry);
 
-  const client = new MCPClient();
-  const startTime = Date.now();
-  let testResults = {
-    serverStartup: false,
-    initialization: false,
-    toolsListed: false,
-    toolsCount: 0,
-    tools: [],
-    capabilities: {},
-    errors: [],
-    timings: {}
+  if (entry.url) {
+    return {
+      url: entry.url,
+      headers: entry.headers || {},
+      // 各客户端的写法不同：type为sse/http/streamable-http，或transport为sse/http
+      transport: entry.type === 'sse' || entry.transport === 'sse' ? 'sse' : 'http'
+    };
+  }
+  return {
+    command: entry.command,
+    args: entry.args || [],
+    env: entry.env,
+    // 相对路径的cwd按配置文件所在目录解析
+    cwd: entry.cwd ? path.resolve(path.dirname(path.resolve(configPath)), entry.cwd) : undefined
   };
+}
 
-  try {
-    // 连接到MCP服务器
-    await client.connect(executable, allArgs);
-    testResults.serverStartup = true;
-    testResults.timings.startup = Date.now() - startTime;
-
-    // 初始化
-    const initStartTime = Date.now();
-    const initResult = await client.initialize();
-    testResults.initialization = true;
-    testResults.capabilities = initResult.capabilities || {};
-    testResults.serverInfo = initResult.serverInfo || {};
-    testResults.timings.initialization = Date.now() - initStartTime;
+// 持久会话：会话ID -> {client, target, initResult, createdAt, lastUsedAt, useCount}
+// 会话内的MCPClient在多次工具调用之间保持连接，有状态的服务器数据不会丢失
+const sessions = new Map();
 
-    // 获取工具列表
-    const toolsStartTime = Date.now();
-    const tools = await client.listTools();
-    testResults.toolsListed = true;
-    testResults.toolsCount = tools.length;
-    testResults.tools = tools;
-    testResults.timings.listTools = Date.now() - toolsStartTime;
+// 复用会话的参数，各测试工具共用
+const sessionSchema = {
+  session_id: z.string().optional().describe("复用open_session创建的会话，指定后忽略server_command/server_url/server_name，调用结束后不会断开连接")
+};
 
-    // 尝试获取资源和提示（如果支持）
-    try {
-      const resources = await client.listResources();
-      testResults.resourcesCount = resources.length;
+/**
+ * 获取已打开的会话并更新使用记录
+ * @param {string} sessionId - 会话ID
+ * @param {object} options - {traceFile}：本次调用的trace_file参数
+ * @returns {object} 会话对象
+ */
+function getSession(sessionId, { traceFile } = {}) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    const available = [...sessions.keys()];
+    throw new Error(`未找到会话: ${sessionId}。${available.length > 0 ? `当前会话: ${available.join(', ')}` : '当前没有打开的会话，请先调用open_session'}`);
+  }
+  // 会话的客户端只有一个协议记录器，单次调用另开记录会与会话的记录冲突或把它截走
+  if (traceFile) {
+    throw new Error(`使用会话 ${sessionId} 时不支持单次调用的trace_file，请在open_session或start_server时指定trace_file，记录会持续到会话关闭`);
+  }
+  if (session.restarting) {
+    throw new Error(`会话 ${sessionId} 的服务器正在重启，请稍后再试`);
+  }
+  if (!session.client.isConnected()) {
+    throw new Error(`会话 ${sessionId} 的服务器连接已断开，请调用restart_server重启，或先close_session后重新打开`);
+  }
+  session.lastUsedAt = new Date();
+  session.useCount++;
+  return session;
+}
+
+/**
+ * 按启动参数连接目标服务器、初始化并获取工具列表，open_session、start_server和重启共用
+ * @param {object} spec - {target, server_args, clientOptions, trace_file, appendTrace}
+ * @param {function} onClient - 创建客户端后立即调用，用于挂接stderr转发等
+ * @returns {Promise<object>} {client, target, initResult, tools}
+ * @throws {Error} 失败时已断开连接，error.client为失败的客户端，可从中读取诊断信息
+ */
+async function connectSession(spec, onClient = () => {}) {
+  const client = new MCPClient(spec.clientOptions);
+  if (spec.trace_file) client.startTrace(spec.trace_file, { append: spec.appendTrace });
+  onClient(client);
+  try {
+    const target = await connectTarget(client, spec.target, spec.server_args);
+    const initResult = await client.initialize();
+    const tools = await client.listTools();
+    return { client, target, initResult, tools };
+  } catch (error) {
+    if (spec.trace_file) await client.stopTrace();
+    client.disconnect();
+    error.client = client;
+    throw error;
+  }
+}
+
+/**
+ * 重启会话的目标服务器：断开旧连接后按原参数重新启动，会话ID不变
+ * 并发触发（如文件连续变化）时共用同一次重启
+ * @param {object} session - 会话对象
+ * @param {string} reason - 重启原因，显示在server_status中
+ */
+function restartSession(session, reason) {
+  if (session.restarting) return session.restarting;
+
+  session.restarting = (async () => {
+    await session.client.stopTrace();
+    session.client.disconnect();
+    const time = new Date();
+    session.restarts++;
+    try {
+      const connected = await connectSession({ ...session.spec, appendTrace: true });
+      session.client = connected.client;
+      session.target = connected.target;
+      session.initResult = connected.initResult;
+      session.startedAt = time;
+      session.lastRestart = { time, reason, error: null };
+      return connected;
+    } catch (error) {
+      // 保留启动失败的客户端，server_status可以显示它的stderr和退出信息
+      session.client = error.client || session.client;
+      session.lastRestart = { time, reason, error: error.message };
+      throw error;
+    } finally {
+      session.restarting = null;
+    }
+  })();
+  return session.restarting;
+}
+
+// 关闭会话：停止文件监视和协议记录，断开连接并移出会话表
+async function closeSession(session) {
+  clearTimeout(session.watch?.timer);
+  session.watch?.watchers.forEach(watcher => watcher.close());
+  sessions.delete(session.id);
+  await session.restarting?.catch(() => {});
+  await session.client.stopTrace();
+  session.client.disconnect();
+}
+
+/**
+ * 监视文件变化并自动重启会话的目标服务器，变化停止debounceMs后才重启
+ * @param {object} session - 会话对象
+ * @param {string[]} paths - 监视的文件或目录
+ * @param {number} debounceMs - 防抖时间(毫秒)
+ */
+function watchSessionFiles(session, paths, debounceMs) {
+  const watch = { paths: paths.map(p => path.resolve(p)), watchers: [], timer: null, changes: 0, lastChange: null };
+  const onChange = (file) => {
+    // 忽略依赖目录和版本库内部文件的变化
+    if (file && /(^|[\\/])(node_modules|\.git)([\\/]|$)/.test(file)) return;
+    watch.changes++;
+    watch.lastChange = { time: new Date(), file };
+    clearTimeout(watch.timer);
+    watch.timer = setTimeout(async () => {
+      // 正在重启时等它结束后再重启一次，确保加载的是最新的文件
+      await session.restarting?.catch(() => {});
+      if (sessions.get(session.id) !== session) return;
+      restartSession(session, `文件变化: ${file || '未知文件'}`).catch(() => {});
+    }, debounceMs);
+  };
+
+  for (const watchPath of watch.paths) {
+    let watcher;
+    try {
+      watcher = fsWatch(watchPath, { recursive: true }, (event, file) => onChange(file && path.join(watchPath, file.toString())));
+    } catch (error) {
+      // 部分平台和Node版本不支持递归监视，退化为只监视顶层
+      watcher = fsWatch(watchPath, (event, file) => onChange(file && path.join(watchPath, file.toString())));
+    }
+    watcher.on('error', () => {});
+    watch.watchers.push(watcher);
+  }
+  session.watch = watch;
+}
+
+// 创建一个 MCP 服务器实例
+const server = new McpServer({
+  name: "mcp-tester",
+  version: PACKAGE_VERSION
+}, {
+  // 声明logging能力，用于把目标服务器的stderr作为日志通知转发给客户端
+  capabilities: { logging: {} }
+});
+
+// 目标服务器诊断参数，各测试工具共用
+const diagnosticsSchema = {
+  stream_stderr: z.boolean().default(false).describe("是否把目标服务器的stderr实时作为MCP日志通知（notifications/message）转发"),
+  trace_file: z.string().optional().describe("协议记录文件路径（JSONL），记录本次收发的每一帧JSON-RPC消息及时间戳和方向，可用replay_trace回放。使用session_id时不支持，请在open_session时指定")
+};
+
+// 客户端设置（initialize参数和对服务器请求的应答），各测试工具共用；使用session_id时以open_session的设置为准
+const clientSchema = {
+  protocol_version: z.string().optional().describe(`initialize时请求的协议版本，如 ${KNOWN_PROTOCOL_VERSIONS.join('、')}，默认 ${DEFAULT_PROTOCOL_VERSION}`),
+  client_capabilities: z.record(z.string(), z.any()).optional().describe('initialize时声明的客户端能力，如 {"roots": {"listChanged": true}, "sampling": {}, "elicitation": {}}。未指定时根据client_responses和roots自动声明'),
+  client_responses: z.array(z.object({
+    method: z.string().describe("服务器请求的方法，如 sampling/createMessage、elicitation/create、roots/list"),
+    match: z.string().optional().describe("正则表达式，与请求params的JSON文本匹配时才使用该规则"),
+    result: z.any().optional().describe("返回的结果，未指定时使用该方法的默认模拟结果"),
+    error: z.object({
+      code: z.number().int(),
+      message: z.string(),
+      data: z.any().optional()
+    }).optional().describe("返回的JSON-RPC错误，指定后忽略result")
+  })).default([]).describe("对服务器发起的请求（sampling、elicitation、roots等）的应答规则，按顺序使用第一条匹配的规则"),
+  roots: z.array(z.object({
+    uri: z.string().describe("根目录URI，如 file:///path/to/project"),
+    name: z.string().optional().describe("显示名称")
+  })).optional().describe("roots/list请求返回的根目录列表"),
+  request_timeout_ms: z.number().int().min(1).optional().describe(`每个请求的超时时间(毫秒)，默认${DEFAULT_REQUEST_TIMEOUT_MS}；超时后发送notifications/cancelled通知服务器停止处理`)
+};
+
+// 把clientSchema的参数转换为MCPClient的构造选项
+function createClientOptions({ protocol_version, client_capabilities, client_responses = [], roots, request_timeout_ms }) {
+  return { protocolVersion: protocol_version, capabilities: client_capabilities, serverRequests: client_responses, roots, requestTimeoutMs: request_timeout_ms };
+}
+
+// 报告输出格式，供CI等程序读取
+const reportSchema = {
+  report_format: z.enum(REPORT_FORMATS).default('markdown').describe("返回的报告格式：markdown为可读报告，json为原始结果对象，junit为JUnit XML，tap为TAP version 13"),
+  html_report_file: z.string().optional().describe("同时把自包含的HTML报告写入该文件路径")
+};
+
+/**
+ * 把目标服务器的stderr和退出事件转发为MCP日志通知
+ * @param {MCPClient} client - 客户端实例
+ * @param {object} extra - 工具回调的extra参数，提供sendNotification
+ * @returns {function} 停止转发的函数
+ */
+function streamStderr(client, extra) {
+  const send = (level, data) => {
+    extra.sendNotification({
+      method: 'notifications/message',
+      params: { level, logger: 'target-stderr', data }
+    }).catch(() => {});
+  };
+  const onStderr = (line) => send(/error|exception|fatal/i.test(line) ? 'error' : 'info', line);
+  const onExit = (exitInfo) => {
+    if (!exitInfo.expected) {
+      send('error', `目标服务器进程已退出 (退出码: ${exitInfo.code}, 信号: ${exitInfo.signal})`);
+    }
+  };
+  client.on('stderr', onStderr);
+  client.on('exit', onExit);
+  return () => {
+    client.off('stderr', onStderr);
+    client.off('exit', onExit);
+  };
+}
+
+/**
+ * 生成目标服务器诊断信息的报告段落（退出状态和stderr最近输出）
+ * 没有任何诊断信息时返回空字符串
+ * @param {MCPClient} client - 客户端实例
+ * @param {number} maxLines - 最多显示的stderr行数
+ */
+function formatDiagnostics(client, maxLines = 50) {
+  const { pid, stderr, exit, protocol, trace, serverRequests, lateResponses } = client.getDiagnostics();
+  const abnormalExit = exit && !exit.expected;
+  if (stderr.length === 0 && !abnormalExit && !protocol && !trace && serverRequests.length === 0 && lateResponses.length === 0) return '';
+
+  let section = `\n\n## 🩺 目标服务器诊断`;
+  if (protocol) {
+    section += `\n- **协议版本**: ${protocol.negotiated || '未知'}${protocol.negotiated === protocol.requested ? '' : `（请求 ${protocol.requested}，⚠️ 服务器改用其他版本）`}`;
+  }
+  if (pid) {
+    section += `\n- **进程PID**: ${pid}`;
+  }
+  if (abnormalExit) {
+    section += `\n- **进程状态**: ❌ 已退出（退出码: ${exit.code ?? '无'}，信号: ${exit.signal ?? '无'}）`;
+    section += `\n- **退出时机**: ${exit.beforeInitialize ? '初始化完成之前（启动失败）' : '初始化完成之后（运行中崩溃）'}`;
+    section += `\n- **退出时间**: ${exit.time.toISOString()}`;
+  }
+  if (lateResponses.length > 0) {
+    section += `\n- **迟到响应**: ⚠️ ${lateResponses.length}个请求在取消或超时后仍收到响应（${lateResponses.slice(0, 5).map(r => `${r.method} 取消后${r.afterCancelMs}ms`).join('，')}）`;
+  }
+  if (trace) {
+    section += `\n- **协议记录**: \`${trace.file}\`（${trace.frames}帧）${trace.error ? `，❌ 写入失败: ${trace.error}` : ''}`;
+  }
+  if (serverRequests.length > 0) {
+    const recent = serverRequests.slice(-maxLines);
+    section += `\n\n### 服务器发起的请求（${serverRequests.length}个${serverRequests.length > recent.length ? `，显示最近${recent.length}个` : ''}）
+
+| 时间 | 方法 | 请求参数 | 应答来源 | 应答 |
+|------|------|----------|----------|------|
+${recent.map(r => `| ${r.time.toISOString()} | ${r.method} | ${JSON.stringify(r.params ?? {}).slice(0, 120).replace(/[|\n]/g, ' ')} | ${r.source} | ${(r.error ? `❌ ${r.error.code}: ${r.error.message}` : `✅ ${JSON.stringify(r.result).slice(0, 120)}`).replace(/[|\n]/g, ' ')}${r.sendError ? `（发送失败: ${r.sendError}）` : ''} |`).join('\n')}`;
+  }
+  if (stderr.length > 0) {
+    const tail = stderr.slice(-maxLines);
+    section += `\n\n### stderr输出（最近${tail.length}行${stderr.length > tail.length ? `，共缓存${stderr.length}行` : ''}）\n\`\`\`\n${tail.join('\n')}\n\`\`\``;
+  }
+  return section;
+}
+
+// 注册 test_mcp_server 工具
+server.registerTool("test_mcp_server", {
+  title: "Test MCP Server",
+  description: "测试指定的MCP服务器，检查其工具列表和基本功能",
+  inputSchema: {
+    server_command: z.string().optional().describe("启动MCP服务器的命令，如：node path/to/server.js。如未指定，将使用TARGET_MCP_SERVER环境变量"),
+    server_args: z.array(z.string()).default([]).describe("服务器启动参数"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    ...reportSchema,
+    timeout: z.number().default(30).describe("每个请求的超时时间(秒)，指定request_timeout_ms时以其为准")
+  }
+}, async ({ server_command, server_args = [], server_name, server_config, server_url, server_headers = {}, server_transport = 'http', session_id, timeout = 30, report_format = 'markdown', html_report_file, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  // 支持从环境变量读取默认的服务器命令
+  const defaultServerCommand = process.env.TARGET_MCP_SERVER;
+  const finalServerCommand = server_command || defaultServerCommand;
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  
+  if (!session && !finalServerCommand && !server_url && !server_name) {
+    throw new Error("请指定server_command、server_url或server_name参数，或设置TARGET_MCP_SERVER环境变量");
+  }
+
+  // 脚本路径为空说明是npx、uvx等命令，不检查文件
+  const { executable, scriptPath } = !session && !server_url && !server_name ? parseServerCommand(finalServerCommand) : {};
+  if (scriptPath) {
+    // 验证文件是否存在
+    try {
+      const fullPath = path.resolve(scriptPath);
+      await fs.access(fullPath);
+    } catch (error) {
+      throw new Error(`找不到文件: ${scriptPath}\n请检查路径是否正确。\n原始输入: ${finalServerCommand}\n解析结果: 可执行文件=${executable}, 脚本路径=${scriptPath}`);
+    }
+  }
+
+  const target = { server_name, server_config, server_command: finalServerCommand, server_url, server_headers, server_transport };
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : server_name || server_url || finalServerCommand;
+  const client = session ? session.client : new MCPClient({ ...createClientOptions(clientArgs), requestTimeoutMs: clientArgs.request_timeout_ms ?? timeout * 1000 });
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  const startTime = Date.now();
+  let testResults = {
+    serverStartup: false,
+    initialization: false,
+    toolsListed: false,
+    toolsCount: 0,
+    tools: [],
+    capabilities: {},
+    errors: [],
+    timings: {}
+  };
+
+  try {
+    // 连接到MCP服务器（会话已连接时跳过）
+    if (!session) {
+      targetLabel = await connectTarget(client, target, server_args);
+    }
+    testResults.serverStartup = true;
+    testResults.timings.startup = Date.now() - startTime;
+
+    // 初始化（会话复用打开时的初始化结果）
+    const initStartTime = Date.now();
+    const initResult = session ? session.initResult : await client.initialize();
+    testResults.initialization = true;
+    testResults.capabilities = initResult.capabilities || {};
+    testResults.serverInfo = initResult.serverInfo || {};
+    testResults.timings.initialization = Date.now() - initStartTime;
+
+    // 获取工具列表
+    const toolsStartTime = Date.now();
+    const tools = await client.listTools();
+    testResults.toolsListed = true;
+    testResults.toolsCount = tools.length;
+    testResults.tools = tools;
+    testResults.timings.listTools = Date.now() - toolsStartTime;
+
+    // 尝试获取资源和提示（如果支持）
+    try {
+      const resources = await client.listResources();
+      testResults.resourcesCount = resources.length;
       testResults.resources = resources;
     } catch (e) {
       // 忽略，可能不支持
@@ -429,14 +1460,18 @@ server.registerTool("test_mcp_server", {
   } catch (error) {
     testResults.errors.push(error.message);
   } finally {
-    client.disconnect();
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
   }
 
   // 生成测试报告
   const report = `# MCP服务器测试结果
 
 ## 📊 测试概览
-- **服务器命令**: \`${finalServerCommand}\`
+- **目标服务器**: \`${targetLabel}\`
 - **测试时间**: ${new Date().toISOString()}
 - **总耗时**: ${testResults.timings.total || 0}ms
 
@@ -481,15 +1516,39 @@ ${JSON.stringify(testResults.sampleToolCall.response, null, 2)}
 \`\`\`` : ''}` : ''}
 
 ${testResults.errors.length > 0 ? `## ⚠️ 错误信息
-${testResults.errors.map(e => `- ${e}`).join('\n')}` : ''}`;
+${testResults.errors.map(e => `- ${e}`).join('\n')}` : ''}${formatDiagnostics(client)}`;
+
+  // 连接步骤依次执行，第一个失败的步骤之后的步骤视为跳过
+  const reportCases = [];
+  for (const [name, ok, time_ms] of [
+    ['服务器启动', testResults.serverStartup, testResults.timings.startup],
+    ['协议初始化', testResults.initialization, testResults.timings.initialization],
+    ['工具列表获取', testResults.toolsListed, testResults.timings.listTools]
+  ]) {
+    const previousFailed = reportCases.some(c => c.status !== 'passed');
+    reportCases.push(ok
+      ? { name, status: 'passed', time_ms }
+      : previousFailed ? { name, status: 'skipped', message: '前置步骤失败' } : { name, status: 'failed', message: testResults.errors.join('\n') || '失败' });
+  }
+  if (testResults.sampleToolCall) {
+    const call = testResults.sampleToolCall;
+    reportCases.push({
+      name: `示例调用 ${call.tool}`,
+      status: call.success ? 'passed' : 'failed',
+      time_ms: call.executionTime,
+      message: call.error,
+      details: JSON.stringify({ arguments: call.args, response: call.response }, null, 2)
+    });
+  }
 
   return {
     content: [
       {
         type: "text",
-        text: report,
+        text: await renderReport({ format: report_format, title: `MCP服务器测试: ${targetLabel}`, markdown: report, data: testResults, cases: reportCases, client, htmlFile: html_report_file }),
       },
     ],
+    _meta: { passed: testResults.errors.length === 0 }
   };
 });
 
@@ -498,33 +1557,45 @@ server.registerTool("call_mcp_tool", {
   title: "Call MCP Tool",
   description: "直接调用MCP工具并返回结果，不生成报告。适用于快速测试单个工具功能。",
   inputSchema: {
-    server_command: z.string().describe("MCP服务器启动命令。支持多种格式：\n- Windows路径：D:\\Path\\To\\script.js 或 D:/Path/To/script.js\n- 带引号路径：\"D:\\My Path\\script.js\"\n- 带执行器：node D:\\Path\\script.js\n- 相对路径：./script.js 或 ../folder/script.js"),
+    server_command: z.string().describe("MCP服务器启动命令。支持多种格式：\n- Windows路径：D:\\Path\\To\\script.js 或 D:/Path/To/script.js\n- 带引号路径：\"D:\\My Path\\script.js\"\n- 带执行器：node D:\\Path\\script.js\n- 相对路径：./script.js 或 ../folder/script.js").optional(),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
     tool_name: z.string().describe("要调用的工具名称"),
     tool_arguments: z.record(z.any()).default({}).describe("传递给工具的参数。根据目标工具的schema提供相应的参数。"),
-    return_raw: z.boolean().default(false).describe("是否返回原始响应（true）或格式化后的文本（false）")
+    return_raw: z.boolean().default(false).describe("是否返回原始响应（true）或格式化后的文本（false）"),
+    log_level: z.enum(LOGGING_LEVELS).optional().describe("调用前通过logging/setLevel设置的服务器日志级别，调用期间的日志通知会显示在通知时间线中"),
+    cancel_after_ms: z.number().int().min(0).optional().describe("取消测试：调用开始N毫秒后发送notifications/cancelled，检查服务器停止处理（不再发送进度通知）且不发送迟到的响应"),
+    late_response_wait_ms: z.number().int().min(0).default(2000).describe("取消测试中，取消后等待迟到响应和进度通知的时间(毫秒)")
   }
-}, async ({ server_command, tool_name, tool_arguments = {}, return_raw = false }) => {
-  // 使用统一的路径解析函数
-  const parsedCommand = parseServerCommand(server_command);
-  const { executable, scriptPath, args: parsedArgs } = parsedCommand;
-  const allArgs = [scriptPath, ...parsedArgs];
-
-  const client = new MCPClient();
+}, async ({ server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, tool_name, tool_arguments = {}, return_raw = false, log_level, cancel_after_ms, late_response_wait_ms = 2000, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
   let callResult = {
     tool: tool_name,
     arguments: tool_arguments,
     success: false,
     response: null,
     error: null,
-    executionTime: 0
+    executionTime: 0,
+    notifications: [],
+    logLevelError: null
   };
 
   try {
-    // 连接到服务器
-    await client.connect(executable, allArgs);
-    
-    // 初始化
-    await client.initialize();
+    // 连接到服务器并初始化（会话已连接时跳过）
+    if (!session) {
+      await connectTarget(client, { server_name, server_config, server_command, server_url, server_headers, server_transport });
+      await client.initialize();
+    }
+
+    if (log_level) {
+      callResult.logLevelError = await trySetLoggingLevel(client, log_level);
+    }
     
     // 获取工具列表以验证工具存在
     const tools = await client.listTools();
@@ -534,31 +1605,50 @@ server.registerTool("call_mcp_tool", {
       throw new Error(`未找到工具: ${tool_name}。可用的工具: ${tools.map(t => t.name).join(', ')}`);
     }
 
-    // 调用工具
-    const startTime = Date.now();
-    const response = await client.callTool(tool_name, tool_arguments);
-    callResult.executionTime = Date.now() - startTime;
+    // 取消测试：按时取消调用，观察服务器之后的行为
+    if (cancel_after_ms !== undefined) {
+      callResult.cancellation = await runCancellationTest(client, tool_name, tool_arguments, {
+        cancelAfterMs: cancel_after_ms,
+        waitMs: late_response_wait_ms,
+        timeoutMs: clientArgs.request_timeout_ms
+      });
+    }
+
+    // 调用工具，同时收集调用期间的通知
+    const outcome = callResult.cancellation || await callToolWithNotifications(client, tool_name, tool_arguments, { timeoutMs: clientArgs.request_timeout_ms });
+    callResult.executionTime = outcome.execution_time;
+    callResult.notifications = outcome.notifications;
+    if (outcome.error) {
+      throw outcome.error;
+    }
     
     callResult.success = true;
-    callResult.response = response;
+    callResult.response = outcome.response;
     
   } catch (error) {
     callResult.error = error.message;
   } finally {
-    client.disconnect();
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
   }
 
-  // 根据return_raw参数决定返回格式
-  if (return_raw) {
+  // 根据return_raw参数决定返回格式（取消测试总是返回报告）
+  if (return_raw && !callResult.cancellation) {
     // 返回原始响应
     if (callResult.error) {
-      throw new Error(callResult.error);
+      throw new Error(`${callResult.error}${formatDiagnostics(client)}`);
     }
     return callResult.response;
   } else {
     // 返回格式化的报告
     let report = `## 🔧 工具调用结果\n\n`;
     report += `**工具名称**: ${tool_name}\n`;
+    if (session) {
+      report += `**会话**: ${session_id}\n`;
+    }
     report += `**执行状态**: ${callResult.success ? '✅ 成功' : '❌ 失败'}\n`;
     report += `**执行时间**: ${callResult.executionTime}ms\n\n`;
     
@@ -566,7 +1656,11 @@ server.registerTool("call_mcp_tool", {
       report += `### 📤 请求参数:\n\`\`\`json\n${JSON.stringify(tool_arguments, null, 2)}\n\`\`\`\n\n`;
     }
     
-    if (callResult.success) {
+    if (callResult.cancellation) {
+      report += formatCancellation(callResult.cancellation);
+    }
+
+    if (callResult.success && callResult.response !== undefined) {
       report += `### 📥 响应结果:\n`;
       
       // 尝试从响应中提取文本内容
@@ -588,10 +1682,16 @@ server.registerTool("call_mcp_tool", {
       } else {
         report += `\`\`\`json\n${JSON.stringify(callResult.response, null, 2)}\n\`\`\``;
       }
-    } else {
+    } else if (!callResult.success) {
       report += `### ❌ 错误信息:\n${callResult.error}`;
     }
-    
+    if (callResult.logLevelError) {
+      report += `\n\n⚠️ 设置日志级别失败: ${callResult.logLevelError}`;
+    }
+    report += formatNotifications(callResult.notifications);
+    report += formatDiagnostics(client);
+
+    const c = callResult.cancellation;
     return {
       content: [
         {
@@ -599,6 +1699,7 @@ server.registerTool("call_mcp_tool", {
           text: report,
         },
       ],
+      _meta: { passed: c ? c.cancelled && !c.lateResponse && c.progressAfterCancel === 0 && c.alive : callResult.success && !callResult.response?.isError }
     };
   }
 });
@@ -608,49 +1709,78 @@ server.registerTool("batch_test_tools", {
   title: "Batch Test Tools",
   description: "批量测试多个MCP工具，支持为每个工具指定不同的测试参数",
   inputSchema: {
-    server_command: z.string().describe("MCP服务器启动命令。支持多种格式：\n- Windows路径（反斜杠）：D:\\Path\\To\\script.js\n- Unix路径（正斜杠）：D:/Path/To/script.js 或 /path/to/script.js\n- 带引号路径（处理空格）：\"D:\\My Path\\script.js\"\n- 带执行器：node D:\\Path\\script.js 或 python script.py\n- 相对路径：./script.js 或 ../folder/script.js"),
+    server_command: z.string().describe("MCP服务器启动命令。支持多种格式：\n- Windows路径（反斜杠）：D:\\Path\\To\\script.js\n- Unix路径（正斜杠）：D:/Path/To/script.js 或 /path/to/script.js\n- 带引号路径（处理空格）：\"D:\\My Path\\script.js\"\n- 带执行器：node D:\\Path\\script.js 或 python script.py\n- 相对路径：./script.js 或 ../folder/script.js").optional(),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
     test_cases: z.array(z.object({
       tool_name: z.string().describe("工具名称"),
       arguments: z.record(z.any()).describe("传递给工具的参数"),
-      description: z.string().optional().describe("测试用例描述（可选）")
-    })).describe("测试用例列表，每个用例包含工具名和参数"),
+      description: z.string().optional().describe("测试用例描述（可选）"),
+      timeout_ms: z.number().int().min(1).optional().describe("该用例的超时时间(毫秒)，覆盖request_timeout_ms"),
+      id: z.string().optional().describe("用例ID，捕获的变量以 {{ID.变量名}} 引用"),
+      capture: z.record(z.string(), z.union([
+        z.string(),
+        z.object({ jsonpath: z.string() }),
+        z.object({ regex: z.string(), group: z.number().int().min(0).optional() })
+      ])).optional().describe('从响应中提取变量供后续用例的arguments引用，如 {"id": "$.id"} 或 {"token": {"regex": "token=(\\w+)"}}；JSONPath作用于structuredContent或解析为JSON的文本，regex作用于文本内容。仅串行模式支持')
+    })).describe("测试用例列表，每个用例包含工具名和参数，参数中可用 {{变量}} 引用之前用例捕获的值；没有被capture声明的 {{...}} 按原文传递"),
     parallel: z.boolean().default(false).describe("是否并行执行测试（false为串行）"),
-    stop_on_error: z.boolean().default(false).describe("遇到错误时是否停止后续测试")
+    concurrency: z.number().int().min(1).default(DEFAULT_BATCH_CONCURRENCY).describe("并行模式下同时执行的用例数（工作者数量）"),
+    isolation: z.enum(["shared", "per_worker", "per_case"]).default("shared").describe("并行模式下的隔离方式：shared所有用例共用一个服务器连接；per_worker每个工作者启动独立的服务器进程（远程服务器为独立连接）；per_case每个用例使用新的服务器进程，用例之间互不影响"),
+    stop_on_error: z.boolean().default(false).describe("遇到错误时是否停止后续测试"),
+    log_level: z.enum(LOGGING_LEVELS).optional().describe("测试前通过logging/setLevel设置的服务器日志级别"),
+    ...reportSchema
   }
-}, async ({ server_command, test_cases, parallel = false, stop_on_error = false }) => {
+}, async ({ server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, test_cases, parallel = false, concurrency = DEFAULT_BATCH_CONCURRENCY, isolation = 'shared', stop_on_error = false, log_level, report_format = 'markdown', html_report_file, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
   if (!test_cases || test_cases.length === 0) {
     throw new Error("请提供至少一个测试用例");
   }
+  if (parallel && test_cases.some(c => c.capture)) {
+    throw new Error("变量捕获和 {{变量}} 引用依赖用例的执行顺序，请使用串行模式（parallel: false）");
+  }
+  if (parallel && session_id && isolation !== 'shared') {
+    throw new Error(`isolation=${isolation} 需要启动独立的服务器进程，不能与session_id一起使用`);
+  }
 
-  // 使用统一的路径解析函数
-  const parsedCommand = parseServerCommand(server_command);
-  const { executable, scriptPath, args: parsedArgs } = parsedCommand;
-  const allArgs = [scriptPath, ...parsedArgs];
-
-  const client = new MCPClient();
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const clientOptions = createClientOptions(clientArgs);
+  const client = session ? session.client : new MCPClient(clientOptions);
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
   const testResults = {
     total_cases: test_cases.length,
     successful: 0,
     failed: 0,
     execution_time: 0,
+    logLevelError: null,
+    workers: [],
     results: []
   };
 
   const startTime = Date.now();
 
   try {
-    // 连接并初始化
-    await client.connect(executable, allArgs);
-    await client.initialize();
+    // 连接并初始化（会话已连接时跳过）
+    if (!session) {
+      await connectTarget(client, { server_name, server_config, server_command, server_url, server_headers, server_transport });
+      await client.initialize();
+    }
+
+    if (log_level) {
+      testResults.logLevelError = await trySetLoggingLevel(client, log_level);
+    }
     
     // 获取可用工具列表
     const availableTools = await client.listTools();
     const toolNames = availableTools.map(t => t.name);
 
     if (parallel) {
-      // 并行执行测试
-      const promises = test_cases.map(async (testCase) => {
-        const { tool_name, arguments: toolArgs, description } = testCase;
+      // 并行执行：最多concurrency个工作者同时从队列中取用例，按isolation决定各自使用的连接
+      const runCase = async (caseClient, testCase) => {
+        const { tool_name, arguments: toolArgs, description, timeout_ms } = testCase;
         
         if (!toolNames.includes(tool_name)) {
           return {
@@ -662,33 +1792,142 @@ server.registerTool("batch_test_tools", {
           };
         }
 
-        try {
-          const toolStart = Date.now();
-          const response = await client.callTool(tool_name, toolArgs);
+        const outcome = await callToolWithNotifications(caseClient, tool_name, toolArgs, { timeoutMs: timeout_ms });
+        if (outcome.error) {
           return {
             tool_name,
             description,
-            success: true,
-            response,
+            success: false,
+            error: outcome.error.message,
             arguments: toolArgs,
-            execution_time: Date.now() - toolStart
+            notifications: outcome.notifications
           };
+        }
+        return {
+          tool_name,
+          description,
+          success: true,
+          response: outcome.response,
+          arguments: toolArgs,
+          execution_time: outcome.execution_time,
+          notifications: outcome.notifications
+        };
+      };
+
+      // 为per_worker/per_case启动独立的目标服务器连接，第一个工作者在per_worker下复用主连接
+      const workers = [];
+      const openWorker = async (label) => {
+        const worker = { label, client: new MCPClient(clientOptions), cases: 0 };
+        worker.stopStreaming = stream_stderr ? streamStderr(worker.client, extra) : () => {};
+        workers.push(worker);
+        try {
+          await connectTarget(worker.client, { server_name, server_config, server_command, server_url, server_headers, server_transport });
+          // 断开后进程信息会被清除，先记下PID
+          worker.pid = worker.client.getDiagnostics().pid;
+          await worker.client.initialize();
         } catch (error) {
-          return {
+          closeWorker(worker);
+          throw error;
+        }
+        if (log_level) {
+          await trySetLoggingLevel(worker.client, log_level);
+        }
+        return worker;
+      };
+      const closeWorker = (worker) => {
+        worker.stopStreaming();
+        worker.client.disconnect();
+      };
+
+      const workerCount = Math.min(concurrency, test_cases.length);
+      const results = new Array(test_cases.length);
+      let nextIndex = 0;
+      const runWorker = async (workerIndex) => {
+        let worker = isolation === 'shared' || (isolation === 'per_worker' && workerIndex === 0)
+          ? { label: `#${workerIndex + 1}`, client, pid: client.getDiagnostics().pid, cases: 0, shared: true }
+          : null;
+        if (worker) workers.push(worker);
+        let restarts = 0;
+        try {
+          while (nextIndex < test_cases.length) {
+            const index = nextIndex++;
+            const testCase = test_cases[index];
+            // 独立的工作进程崩溃后，为剩余用例重新启动一个
+            if (worker && !worker.shared && !worker.client.isConnected()) {
+              closeWorker(worker);
+              worker = null;
+              restarts++;
+            }
+            let caseWorker = worker;
+            try {
+              if (isolation === 'per_case') {
+                caseWorker = await openWorker(`#${workerIndex + 1}/用例${index + 1}`);
+              } else if (!worker) {
+                worker = caseWorker = await openWorker(restarts > 0 ? `#${workerIndex + 1}（重启${restarts}）` : `#${workerIndex + 1}`);
+              }
+              results[index] = await runCase(caseWorker.client, testCase);
+            } catch (error) {
+              // 工作进程启动或初始化失败
+              results[index] = {
+                tool_name: testCase.tool_name,
+                description: testCase.description,
+                success: false,
+                error: `工作进程启动失败: ${error.message}`,
+                arguments: testCase.arguments
+              };
+            }
+            if (caseWorker) {
+              caseWorker.cases++;
+              results[index].worker = caseWorker.label;
+              results[index].worker_pid = caseWorker.pid;
+            }
+            if (isolation === 'per_case' && caseWorker) {
+              closeWorker(caseWorker);
+            }
+          }
+        } finally {
+          if (worker && !worker.shared) {
+            closeWorker(worker);
+          }
+        }
+      };
+
+      await Promise.all(Array.from({ length: workerCount }, (_, i) => runWorker(i)));
+      testResults.results = results;
+      testResults.workers = workers.map(worker => {
+        const { exit, stderr } = worker.client.getDiagnostics();
+        return {
+          label: worker.label,
+          pid: worker.pid,
+          cases: worker.cases,
+          shared: worker.shared === true,
+          exit: exit && !exit.expected ? { code: exit.code, signal: exit.signal } : null,
+          stderr_tail: exit && !exit.expected ? stderr.slice(-10) : undefined
+        };
+      });
+    } else {
+      // 串行执行测试，前面用例捕获的变量可在后面用例的参数中引用；
+      // 只替换capture声明过的变量，其他 {{...}} 文本（如Mustache模板）原样传给工具
+      const variables = {};
+      const declared = new Set(test_cases.filter(c => c.capture).flatMap(c => c.id ? [c.id] : Object.keys(c.capture)));
+      for (const testCase of test_cases) {
+        const { tool_name, description, timeout_ms } = testCase;
+        let toolArgs;
+        try {
+          toolArgs = resolveTemplates(testCase.arguments, variables, declared);
+        } catch (error) {
+          testResults.results.push({
             tool_name,
             description,
             success: false,
             error: error.message,
-            arguments: toolArgs
-          };
+            arguments: testCase.arguments
+          });
+          if (stop_on_error) {
+            break;
+          }
+          continue;
         }
-      });
-
-      testResults.results = await Promise.all(promises);
-    } else {
-      // 串行执行测试
-      for (const testCase of test_cases) {
-        const { tool_name, arguments: toolArgs, description } = testCase;
         
         if (!toolNames.includes(tool_name)) {
           const result = {
@@ -706,29 +1945,44 @@ server.registerTool("batch_test_tools", {
           continue;
         }
 
-        try {
-          const toolStart = Date.now();
-          const response = await client.callTool(tool_name, toolArgs);
-          testResults.results.push({
-            tool_name,
-            description,
-            success: true,
-            response,
-            arguments: toolArgs,
-            execution_time: Date.now() - toolStart
-          });
-        } catch (error) {
+        const outcome = await callToolWithNotifications(client, tool_name, toolArgs, { timeoutMs: timeout_ms });
+        if (outcome.error) {
           testResults.results.push({
             tool_name,
             description,
             success: false,
-            error: error.message,
-            arguments: toolArgs
+            error: outcome.error.message,
+            arguments: toolArgs,
+            notifications: outcome.notifications
           });
           
           if (stop_on_error) {
             break;
           }
+        } else {
+          const result = {
+            tool_name,
+            description,
+            success: true,
+            response: outcome.response,
+            arguments: toolArgs,
+            execution_time: outcome.execution_time,
+            notifications: outcome.notifications
+          };
+          testResults.results.push(result);
+
+          if (testCase.capture) {
+            const captured = captureVariables(testCase.capture, outcome);
+            result.captured = captured.values;
+            storeCapturedVariables(variables, testCase.id, captured.values);
+            if (captured.errors.length > 0) {
+              result.success = false;
+              result.error = `捕获变量失败: ${captured.errors.join('；')}`;
+              if (stop_on_error) {
+                break;
+              }
+            }
+          }
         }
       }
     }
@@ -739,9 +1993,13 @@ server.registerTool("batch_test_tools", {
     testResults.execution_time = Date.now() - startTime;
 
   } catch (error) {
-    throw new Error(`批量测试失败: ${error.message}`);
+    throw new Error(`批量测试失败: ${error.message}${formatDiagnostics(client)}`);
   } finally {
-    client.disconnect();
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
   }
 
   // 生成报告
@@ -752,7 +2010,7 @@ server.registerTool("batch_test_tools", {
 - **成功**: ${testResults.successful} (${Math.round(testResults.successful / testResults.total_cases * 100)}%)
 - **失败**: ${testResults.failed} (${Math.round(testResults.failed / testResults.total_cases * 100)}%)
 - **总执行时间**: ${testResults.execution_time}ms
-- **执行模式**: ${parallel ? '并行' : '串行'}
+- **执行模式**: ${parallel ? `并行（并发 ${Math.min(concurrency, test_cases.length)}，隔离: ${isolation}${isolation === 'per_case' ? '' : '，同一连接上的日志和list_changed通知按时间归属，可能同时出现在多个用例中'}）` : '串行'}${session ? `\n- **会话**: ${session_id}` : ''}${testResults.logLevelError ? `\n- ⚠️ **设置日志级别失败**: ${testResults.logLevelError}` : ''}
 
 ## 📝 详细结果
 
@@ -765,12 +2023,20 @@ ${testResults.results.map((result, index) => {
   }
   
   details += `\n**状态**: ${result.success ? '成功' : '失败'}`;
+
+  if (result.worker) {
+    details += `\n**工作者**: ${result.worker}${result.worker_pid ? `（PID ${result.worker_pid}）` : ''}`;
+  }
   
   if (result.execution_time) {
     details += `\n**执行时间**: ${result.execution_time}ms`;
   }
   
   details += `\n\n**请求参数**:\n\`\`\`json\n${JSON.stringify(result.arguments, null, 2)}\n\`\`\``;
+
+  if (result.captured && Object.keys(result.captured).length > 0) {
+    details += `\n\n**捕获变量**: ${Object.entries(result.captured).map(([name, value]) => `\`${name}\` = \`${formatDiffValue(value)}\``).join('，')}`;
+  }
   
   if (result.success && result.response) {
     // 提取文本响应
@@ -787,6 +2053,8 @@ ${testResults.results.map((result, index) => {
   } else if (!result.success) {
     details += `\n\n**错误信息**:\n${result.error}`;
   }
+
+  details += formatNotifications(result.notifications, '####');
   
   return details;
 }).join('\n\n---\n\n')}
@@ -797,13 +2065,34 @@ ${testResults.results.map((result, index) => {
     .filter(r => r.execution_time)
     .reduce((sum, r) => sum + r.execution_time, 0) / 
   testResults.results.filter(r => r.execution_time).length || 0
-)}ms`;
+)}ms${testResults.workers.length > 0 ? `
+
+## 🧵 工作者
+| 工作者 | PID | 执行用例数 | 连接 | 状态 |
+|--------|-----|------------|------|------|
+${testResults.workers.map(w => `| ${w.label} | ${w.pid ?? '-'} | ${w.cases} | ${w.shared ? '主连接' : '独立进程'} | ${w.exit ? `❌ 异常退出（退出码: ${w.exit.code ?? '无'}，信号: ${w.exit.signal ?? '无'}）` : '✅'} |`).join('\n')}${testResults.workers.filter(w => w.stderr_tail?.length > 0).map(w => `\n\n**${w.label} stderr（最近${w.stderr_tail.length}行）**:\n\`\`\`\n${w.stderr_tail.join('\n')}\n\`\`\``).join('')}` : ''}${formatDiagnostics(client)}`;
+
+  // stop_on_error中断后未执行的用例记为跳过
+  const reportCases = test_cases.map((testCase, index) => {
+    const name = `${index + 1}. ${testCase.tool_name}${testCase.description ? ` - ${testCase.description}` : ''}`;
+    const result = testResults.results[index];
+    if (!result) {
+      return { name, status: 'skipped', message: 'stop_on_error中断，未执行' };
+    }
+    return {
+      name,
+      status: result.success ? 'passed' : 'failed',
+      time_ms: result.execution_time,
+      message: result.error,
+      details: JSON.stringify({ worker: result.worker, arguments: result.arguments, response: result.response }, null, 2)
+    };
+  });
 
   return {
     content: [
       {
         type: "text",
-        text: report,
+        text: await renderReport({ format: report_format, title: '批量测试', markdown: report, data: testResults, cases: reportCases, client, htmlFile: html_report_file }),
       },
     ],
   };
@@ -812,23 +2101,27 @@ ${testResults.results.map((result, index) => {
 // 注册 validate_mcp_tools 工具
 server.registerTool("validate_mcp_tools", {
   title: "Validate MCP Tools",
-  description: "验证MCP工具的schema和功能完整性",
+  description: "验证MCP工具的schema和功能完整性。inputSchema按JSON Schema元模式校验（含$ref/$defs解析、required/enum/default一致性和描述检查），每个发现带有严重级别（error/warning）；调用响应逐项检查content并按outputSchema校验structuredContent",
   inputSchema: {
-    server_command: z.string().describe("MCP服务器启动命令"),
+    server_command: z.string().optional().describe("MCP服务器启动命令"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
     tool_name: z.string().optional().describe("要测试的特定工具名称（可选）"),
-    test_params: z.record(z.any()).default({}).describe("测试工具时使用的参数。如果指定了tool_name，直接传递该工具的参数；否则传递一个对象，键为工具名，值为对应参数。示例：测试单个工具时 {\"a\": 10, \"b\": 20}，测试多个工具时 {\"add\": {\"a\": 10, \"b\": 20}, \"multiply\": {\"x\": 3, \"y\": 4}}")
+    test_params: z.record(z.any()).default({}).describe("测试工具时使用的参数。如果指定了tool_name，直接传递该工具的参数；否则传递一个对象，键为工具名，值为对应参数。示例：测试单个工具时 {\"a\": 10, \"b\": 20}，测试多个工具时 {\"add\": {\"a\": 10, \"b\": 20}, \"multiply\": {\"x\": 3, \"y\": 4}}"),
+    ...reportSchema
   }
-}, async ({ server_command, tool_name, test_params = {} }) => {
-  if (!server_command) {
-    throw new Error("请指定server_command参数");
+}, async ({ server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, tool_name, test_params = {}, report_format = 'markdown', html_report_file, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  if (!session_id && !server_command && !server_url && !server_name) {
+    throw new Error("请指定server_command、server_url、server_name或session_id参数");
   }
 
-  // 使用统一的路径解析函数处理各种路径格式
-  const parsedCommand = parseServerCommand(server_command);
-  const { executable, scriptPath, args: parsedArgs } = parsedCommand;
-  const allArgs = [scriptPath, ...parsedArgs];
-
-  const client = new MCPClient();
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
   const validationResults = {
     totalTools: 0,
     validatedTools: [],
@@ -838,9 +2131,11 @@ server.registerTool("validate_mcp_tools", {
   };
 
   try {
-    // 连接并初始化
-    await client.connect(executable, allArgs);
-    await client.initialize();
+    // 连接并初始化（会话已连接时跳过）
+    if (!session) {
+      await connectTarget(client, { server_name, server_config, server_command, server_url, server_headers, server_transport });
+      await client.initialize();
+    }
     
     // 获取工具列表
     const tools = await client.listTools();
@@ -861,25 +2156,14 @@ server.registerTool("validate_mcp_tools", {
         name: tool.name,
         description: tool.description,
         schemaValid: true,
+        schemaFindings: [],
         testResult: null,
         issues: []
       };
 
-      // 验证schema
-      if (!tool.inputSchema) {
-        toolValidation.issues.push('缺少inputSchema');
-        toolValidation.schemaValid = false;
-      } else {
-        // 检查schema结构
-        if (!tool.inputSchema.type) {
-          toolValidation.issues.push('inputSchema缺少type字段');
-          toolValidation.schemaValid = false;
-        }
-        if (tool.inputSchema.type === 'object' && !tool.inputSchema.properties) {
-          toolValidation.issues.push('object类型的schema缺少properties');
-          toolValidation.schemaValid = false;
-        }
-      }
+      // 验证schema：error级别的发现视为schema无效，warning只做提示
+      toolValidation.schemaFindings = validateInputSchema(tool);
+      toolValidation.schemaValid = !toolValidation.schemaFindings.some(f => f.severity === 'error');
 
       // 尝试调用工具进行测试
       if (toolValidation.schemaValid) {
@@ -904,10 +2188,12 @@ server.registerTool("validate_mcp_tools", {
           const result = await client.callTool(tool.name, testArgs);
           const executionTime = Date.now() - startTime;
 
+          const responseIssues = validateToolResponse(result, tool);
           toolValidation.testResult = {
             success: true,
             executionTime,
-            responseValid: validateToolResponse(result),
+            responseValid: !responseIssues.some(i => i.severity === 'error'),
+            responseIssues,
             testArgs,
             actualResponse: result  // 保存实际响应
           };
@@ -945,6 +2231,7 @@ server.registerTool("validate_mcp_tools", {
       validationResults.schemaValidation.push({
         tool: tool.name,
         valid: toolValidation.schemaValid,
+        findings: toolValidation.schemaFindings,
         issues: toolValidation.issues
       });
     }
@@ -952,9 +2239,16 @@ server.registerTool("validate_mcp_tools", {
   } catch (error) {
     validationResults.errors.push(error.message);
   } finally {
-    client.disconnect();
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
   }
 
+  const allFindings = validationResults.schemaValidation.flatMap(v => v.findings);
+  const severityIcons = { error: '❌', warning: '⚠️' };
+
   // 生成验证报告
   const report = `# MCP工具验证报告
 
@@ -974,12 +2268,13 @@ ${validationResults.validatedTools.map(tool => {
 
 **描述**: ${tool.description || '无描述'}
 
-**Schema验证**: ${tool.schemaValid ? '✅ 通过' : '❌ 失败'}
-
+**Schema验证**: ${tool.schemaValid ? '✅ 通过' : '❌ 失败'}（错误 ${tool.schemaFindings.filter(f => f.severity === 'error').length}，警告 ${tool.schemaFindings.filter(f => f.severity === 'warning').length}）
+${tool.schemaFindings.length > 0 ? `\n${tool.schemaFindings.map(f => `- ${severityIcons[f.severity]} [${f.severity}] \`${f.path}\`: ${f.message}`).join('\n')}\n` : ''}
 ${tool.testResult ? `**功能测试**: ${tool.testResult.success ? '✅ 成功' : '❌ 失败'}
 ${tool.testResult.executionTime ? `- 执行时间: ${tool.testResult.executionTime}ms` : ''}
 ${tool.testResult.error ? `- 错误: ${tool.testResult.error}` : ''}
 ${tool.testResult.responseValid !== undefined ? `- 响应格式: ${tool.testResult.responseValid ? '✅ 有效' : '❌ 无效'}` : ''}
+${tool.testResult.responseIssues?.length > 0 ? tool.testResult.responseIssues.map(i => `  - ${severityIcons[i.severity]} [${i.severity}] \`${i.path}\`: ${i.message}`).join('\n') : ''}
 
 #### 📤 请求参数:
 \`\`\`json
@@ -998,40 +2293,3802 @@ ${tool.issues.length > 0 ? `**发现的问题**:\n${tool.issues.map(i => `- ${i}
 ## 📈 统计摘要
 
 - **Schema验证通过率**: ${Math.round((validationResults.schemaValidation.filter(v => v.valid).length / validationResults.schemaValidation.length) * 100)}%
+- **Schema错误**: ${allFindings.filter(f => f.severity === 'error').length}
+- **Schema警告**: ${allFindings.filter(f => f.severity === 'warning').length}
 - **功能测试通过率**: ${Math.round((validationResults.validatedTools.filter(t => t.testResult?.success).length / validationResults.validatedTools.length) * 100)}%
 
-${validationResults.errors.length > 0 ? `## ⚠️ 错误\n${validationResults.errors.map(e => `- ${e}`).join('\n')}` : ''}`;
+${validationResults.errors.length > 0 ? `## ⚠️ 错误\n${validationResults.errors.map(e => `- ${e}`).join('\n')}` : ''}${formatDiagnostics(client)}`;
+
+  // 每个工具一个用例：schema错误、调用失败或响应格式无效都算失败，warning只写入详情
+  const reportCases = validationResults.validatedTools.map(tool => {
+    const problems = [
+      ...tool.schemaFindings.filter(f => f.severity === 'error').map(f => `inputSchema ${f.path}: ${f.message}`),
+      ...(tool.testResult && !tool.testResult.success ? [`调用失败: ${tool.testResult.error}`] : []),
+      ...(tool.testResult?.responseIssues || []).filter(i => i.severity === 'error').map(i => `响应 ${i.path}: ${i.message}`)
+    ];
+    const warnings = [
+      ...tool.schemaFindings.filter(f => f.severity === 'warning').map(f => `inputSchema ${f.path}: ${f.message}`),
+      ...(tool.testResult?.responseIssues || []).filter(i => i.severity === 'warning').map(i => `响应 ${i.path}: ${i.message}`)
+    ];
+    return {
+      name: tool.name,
+      status: problems.length > 0 ? 'failed' : 'passed',
+      time_ms: tool.testResult?.executionTime,
+      message: problems.join('\n') || undefined,
+      details: [...problems, ...warnings.map(w => `[warning] ${w}`)].join('\n') || undefined
+    };
+  });
+  if (validationResults.errors.length > 0) {
+    reportCases.push({ name: '连接与工具列表', status: 'failed', message: validationResults.errors.join('\n') });
+  }
 
   return {
     content: [
       {
         type: "text",
-        text: report,
+        text: await renderReport({ format: report_format, title: `MCP工具验证: ${tool_name || '所有工具'}`, markdown: report, data: validationResults, cases: reportCases, client, htmlFile: html_report_file }),
       },
     ],
+    _meta: { passed: !reportCases.some(c => c.status === 'failed') }
   };
 });
 
-// 验证工具响应格式
-function validateToolResponse(response) {
-  if (!response) return false;
-  if (!response.content) return false;
-  if (!Array.isArray(response.content)) return false;
-  
-  for (const item of response.content) {
-    if (!item.type) return false;
-    if (item.type === 'text' && typeof item.text !== 'string') return false;
+// 注册 test_performance 工具
+server.registerTool("test_performance", {
+  title: "Test Performance",
+  description: "对单个MCP工具进行性能测试，统计响应时间分布（min/max/mean/p50/p90/p99）、吞吐量和错误率",
+  inputSchema: {
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    tool_name: z.string().describe("要测试的工具名称"),
+    tool_arguments: z.record(z.any()).default({}).describe("每次调用传递给工具的参数"),
+    iterations: z.number().int().min(1).default(100).describe("正式测试的调用次数（指定duration时忽略）"),
+    concurrency: z.number().int().min(1).default(1).describe("并发数，即同时进行中的请求数量"),
+    warmup: z.number().int().min(0).default(5).describe("预热调用次数，不计入统计"),
+    duration: z.number().positive().optional().describe("压力测试持续时间(秒)。指定后在该时间内持续调用，忽略iterations"),
+    monitor_resources: z.boolean().default(false).describe("是否在正式测试期间通过/proc采样目标服务器进程的CPU时间、RSS和文件描述符数（仅Linux上的本地stdio服务器）"),
+    sample_interval_ms: z.number().int().min(10).default(500).describe("资源采样间隔(毫秒)")
   }
-  
-  return true;
-}
+}, async ({ server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, tool_name, tool_arguments = {}, iterations = 100, concurrency = 1, warmup = 5, duration, monitor_resources = false, sample_interval_ms = 500, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : server_name || server_url || server_command;
+  const perfResults = {
+    mode: duration ? 'duration' : 'iterations',
+    warmupCalls: 0,
+    totalCalls: 0,
+    successful: 0,
+    failed: 0,
+    toolErrors: 0,
+    latencies: [],
+    errorMessages: {},
+    wallTime: 0,
+    resources: null
+  };
 
-// 工具参数生成函数
-function generateExampleCall(tool) {
-  const properties = tool.inputSchema?.properties || {};
-  const example = {};
-  
-  // 通用的参数值生成逻辑
+  try {
+    // 连接并初始化（会话已连接时跳过）
+    if (!session) {
+      targetLabel = await connectTarget(client, { server_name, server_config, server_command, server_url, server_headers, server_transport });
+      await client.initialize();
+    }
+
+    // 验证工具存在
+    const tools = await client.listTools();
+    if (!tools.find(t => t.name === tool_name)) {
+      throw new Error(`未找到工具: ${tool_name}。可用的工具: ${tools.map(t => t.name).join(', ')}`);
+    }
+
+    // 预热，结果不计入统计
+    for (let i = 0; i < warmup; i++) {
+      try {
+        await client.callTool(tool_name, tool_arguments);
+      } catch (e) {
+        // 预热阶段的错误忽略
+      }
+      perfResults.warmupCalls++;
+    }
+
+    // 正式测试：concurrency个worker共享调用计数，直到次数用完或时间到达
+    const deadline = duration ? performance.now() + duration * 1000 : Infinity;
+    let issued = 0;
+    const hasMore = () => duration ? performance.now() < deadline : issued < iterations;
+
+    const worker = async () => {
+      while (hasMore()) {
+        issued++;
+        const callStart = performance.now();
+        try {
+          const response = await client.callTool(tool_name, tool_arguments);
+          perfResults.latencies.push(performance.now() - callStart);
+          if (response?.isError) {
+            // 工具返回了isError结果，协议层面成功但业务失败
+            perfResults.toolErrors++;
+          } else {
+            perfResults.successful++;
+          }
+        } catch (error) {
+          perfResults.failed++;
+          perfResults.errorMessages[error.message] = (perfResults.errorMessages[error.message] || 0) + 1;
+        }
+        perfResults.totalCalls++;
+      }
+    };
+
+    const monitor = monitor_resources ? startResourceMonitor(client, sample_interval_ms) : null;
+    const runStart = performance.now();
+    await Promise.all(Array.from({ length: concurrency }, () => worker()));
+    perfResults.wallTime = performance.now() - runStart;
+    if (monitor) {
+      perfResults.resources = summarizeResourceSamples(await monitor.stop());
+    }
+
+  } catch (error) {
+    throw new Error(`性能测试失败: ${error.message}${formatDiagnostics(client)}`);
+  } finally {
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  const stats = calculateLatencyStats(perfResults.latencies);
+  const throughput = perfResults.wallTime > 0 ? perfResults.totalCalls / (perfResults.wallTime / 1000) : 0;
+  const errorCount = perfResults.failed + perfResults.toolErrors;
+  const errorRate = perfResults.totalCalls > 0 ? errorCount / perfResults.totalCalls * 100 : 0;
+  const fmt = (ms) => `${ms.toFixed(2)}ms`;
+
+  // 生成报告
+  const report = `# 性能测试报告
+
+## 📊 测试概览
+- **工具名称**: ${tool_name}
+- **目标服务器**: \`${targetLabel}\`
+- **测试模式**: ${perfResults.mode === 'duration' ? `按时长 (${duration}秒)` : `按次数 (${iterations}次)`}
+- **并发数**: ${concurrency}
+- **预热调用**: ${perfResults.warmupCalls}次
+- **测试时间**: ${new Date().toISOString()}
+
+## ⚡ 响应时间
+${stats ? `| 指标 | 数值 |
+|------|------|
+| 最小值 | ${fmt(stats.min)} |
+| 最大值 | ${fmt(stats.max)} |
+| 平均值 | ${fmt(stats.mean)} |
+| p50 | ${fmt(stats.p50)} |
+| p90 | ${fmt(stats.p90)} |
+| p99 | ${fmt(stats.p99)} |` : '没有成功的调用，无法统计响应时间'}
+
+## 🚀 吞吐量
+- **总调用次数**: ${perfResults.totalCalls}
+- **总耗时**: ${fmt(perfResults.wallTime)}
+- **吞吐量**: ${throughput.toFixed(2)} 请求/秒
+
+## ❗ 错误统计
+- **成功**: ${perfResults.successful}
+- **工具返回错误(isError)**: ${perfResults.toolErrors}
+- **请求失败**: ${perfResults.failed}
+- **错误率**: ${errorRate.toFixed(2)}%
+${Object.keys(perfResults.errorMessages).length > 0 ? `
+### 失败原因
+${Object.entries(perfResults.errorMessages).map(([msg, count]) => `- ${msg} (${count}次)`).join('\n')}` : ''}${monitor_resources ? formatResourceUsage(perfResults.resources) : ''}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 soak_test 工具
+server.registerTool("soak_test", {
+  title: "Soak Test",
+  description: "浸泡测试：对一个工具连续调用成千上万次，定期通过/proc采样目标服务器进程的RSS、文件描述符和CPU时间，按调用次数拟合内存增长，报告每次调用的平均内存增量并标记可能的内存或文件描述符泄漏（仅Linux上的本地stdio服务器）",
+  inputSchema: {
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    ...namedServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    tool_name: z.string().describe("要测试的工具名称"),
+    tool_arguments: z.record(z.any()).default({}).describe("每次调用传递给工具的参数"),
+    iterations: z.number().int().min(1).default(5000).describe("正式调用次数。带GC的运行时需要足够多的调用才会出现垃圾回收，结果无法判断时请增大"),
+    warmup: z.number().int().min(0).default(100).describe("预热调用次数，让缓存和JIT稳定下来，不计入增长拟合"),
+    sample_every: z.number().int().min(1).optional().describe("每隔多少次调用采样一次，默认为iterations/100"),
+    leak_threshold_bytes: z.number().min(0).default(1024).describe("每次调用平均RSS增长超过该值(字节)且增长呈线性时判定为疑似内存泄漏"),
+    fd_leak_threshold: z.number().int().min(1).default(10).describe("文件描述符数量增长超过该值时判定为疑似文件描述符泄漏")
+  }
+}, async ({ server_command, server_name, server_config, session_id, tool_name, tool_arguments = {}, iterations = 5000, warmup = 100, sample_every, leak_threshold_bytes = 1024, fd_leak_threshold = 10, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  if (process.platform !== 'linux') {
+    throw new Error("浸泡测试通过/proc读取进程资源，只支持Linux");
+  }
+
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : server_name || server_command;
+  const sampleEvery = sample_every ?? Math.max(1, Math.floor(iterations / 100));
+  const soakResults = {
+    calls: 0,
+    failed: 0,
+    toolErrors: 0,
+    errorMessages: {},
+    samples: [],
+    latencies: [],
+    wallTime: 0,
+    aborted: null
+  };
+
+  try {
+    if (!session) {
+      targetLabel = await connectTarget(client, { server_name, server_config, server_command });
+      await client.initialize();
+    }
+    if (!client.getDiagnostics().pid) {
+      throw new Error("浸泡测试需要本地stdio服务器，远程服务器无法读取进程资源");
+    }
+
+    const tools = await client.listTools();
+    if (!tools.find(t => t.name === tool_name)) {
+      throw new Error(`未找到工具: ${tool_name}。可用的工具: ${tools.map(t => t.name).join(', ')}`);
+    }
+
+    for (let i = 0; i < warmup; i++) {
+      try {
+        await client.callTool(tool_name, tool_arguments);
+      } catch (e) {
+        // 预热阶段的错误忽略
+      }
+    }
+
+    const sample = async () => {
+      const usage = await readProcessUsage(client.getDiagnostics().pid);
+      if (usage) soakResults.samples.push({ calls: soakResults.calls, ...usage });
+    };
+
+    // 串行调用，避免并发请求堆积造成的内存波动被误判为泄漏
+    const runStart = performance.now();
+    await sample();
+    while (soakResults.calls < iterations) {
+      if (!client.isConnected()) {
+        soakResults.aborted = `目标服务器在第${soakResults.calls}次调用后退出`;
+        break;
+      }
+      const callStart = performance.now();
+      try {
+        const response = await client.callTool(tool_name, tool_arguments);
+        if (response?.isError) soakResults.toolErrors++;
+      } catch (error) {
+        soakResults.failed++;
+        soakResults.errorMessages[error.message] = (soakResults.errorMessages[error.message] || 0) + 1;
+      }
+      soakResults.latencies.push(performance.now() - callStart);
+      soakResults.calls++;
+      if (soakResults.calls % sampleEvery === 0 || soakResults.calls === iterations) {
+        await sample();
+      }
+    }
+    soakResults.wallTime = performance.now() - runStart;
+
+  } catch (error) {
+    throw new Error(`浸泡测试失败: ${error.message}${formatDiagnostics(client)}`);
+  } finally {
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  const { samples, latencies } = soakResults;
+  const summary = summarizeResourceSamples(samples);
+  const growth = analyzeMemoryGrowth(samples);
+  // 中间和最后三分之一都发生过回收时，两者的最低点才是可比的回收后基线；否则只有远超阈值的线性增长才判定为泄漏
+  let memoryLeak = false;
+  let memoryInconclusive = false;
+  if (growth) {
+    if (growth.baselineReliable) {
+      memoryLeak = growth.floorPerCall > leak_threshold_bytes;
+    } else {
+      memoryLeak = growth.regression.slope > leak_threshold_bytes * LEAK_STRONG_FACTOR && growth.regression.r2 >= LEAK_MIN_R2;
+      memoryInconclusive = !memoryLeak && growth.regression.slope > leak_threshold_bytes;
+    }
+  }
+  const fdGrowth = summary ? summary.fds.end - summary.fds.start : 0;
+  const fdLeak = fdGrowth > fd_leak_threshold;
+  // 对比前后各10%调用的平均耗时，持续变慢往往伴随泄漏
+  const window = Math.max(1, Math.floor(latencies.length / 10));
+  const average = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+  const latencyStart = average(latencies.slice(0, window));
+  const latencyEnd = average(latencies.slice(-window));
+  const passed = !memoryLeak && !fdLeak && !soakResults.aborted;
+
+  // 样本较多时等间隔抽取约20行展示
+  const step = Math.max(1, Math.ceil(samples.length / 20));
+  const shownSamples = samples.filter((_, i) => i % step === 0 || i === samples.length - 1);
+
+  const report = `# 浸泡测试报告
+
+## 📊 测试概览
+- **工具名称**: ${tool_name}
+- **目标服务器**: \`${targetLabel}\`
+- **调用次数**: ${soakResults.calls}/${iterations}（预热 ${warmup} 次）
+- **采样间隔**: 每${sampleEvery}次调用
+- **总耗时**: ${(soakResults.wallTime / 1000).toFixed(1)}秒
+- **请求失败**: ${soakResults.failed}
+- **工具返回错误(isError)**: ${soakResults.toolErrors}${soakResults.aborted ? `\n- **中止**: ❌ ${soakResults.aborted}` : ''}
+- **结论**: ${passed ? (memoryInconclusive ? '⚠️ 未发现明确泄漏，内存增长需要更长时间复测' : '✅ 未发现泄漏') : `❌ ${[memoryLeak && '疑似内存泄漏', fdLeak && '疑似文件描述符泄漏', soakResults.aborted && '服务器中途退出'].filter(Boolean).join('，')}`}
+
+## 🧠 内存增长
+${growth ? `- **每次调用平均RSS增长（全部样本拟合）**: ${formatBytes(growth.regression.slope)}（R² ${growth.regression.r2.toFixed(2)}，阈值 ${formatBytes(leak_threshold_bytes)}/次）
+- **每次调用平均RSS增长（回收后基线）**: ${growth.baselineReliable ? formatBytes(growth.floorPerCall) : '不可用（测试后段没有观察到垃圾回收）'}
+- **RSS变化**: ${formatBytes(summary.rss.start)} → ${formatBytes(summary.rss.end)}（峰值 ${formatBytes(summary.rss.peak)}）
+- **判定**: ${memoryLeak ? '❌ RSS随调用次数持续增长且不随垃圾回收回落，疑似内存泄漏（如缓存未设上限、监听器未移除）' : memoryInconclusive ? '⚠️ RSS在增长，但测试后段没有观察到垃圾回收，无法区分泄漏和堆扩张，请增加iterations复测' : '✅ 正常'}` : '样本不足，无法分析内存增长'}
+
+## 📂 文件描述符
+${summary ? `- **数量变化**: ${summary.fds.start} → ${summary.fds.end}（峰值 ${summary.fds.peak}）
+- **判定**: ${fdLeak ? `❌ 增长${fdGrowth}个，超过阈值${fd_leak_threshold}，疑似文件或连接未关闭` : '✅ 正常'}` : '无样本'}
+
+## ⏱️ 响应时间漂移
+- **前10%调用平均耗时**: ${latencyStart.toFixed(2)}ms
+- **后10%调用平均耗时**: ${latencyEnd.toFixed(2)}ms${latencyStart > 0 && latencyEnd > latencyStart * 2 ? '\n- ⚠️ 后期调用明显变慢' : ''}
+${summary ? `- **CPU时间**: ${summary.cpu_ms.toFixed(0)}ms（平均占用 ${summary.cpu_percent.toFixed(1)}%，每次调用 ${(summary.cpu_ms / Math.max(1, soakResults.calls)).toFixed(2)}ms）` : ''}
+
+## 📈 采样点
+| 调用次数 | RSS | 文件描述符 | CPU时间 |
+|----------|-----|------------|---------|
+${shownSamples.map(s => `| ${s.calls} | ${formatBytes(s.rss_bytes)} | ${s.fds} | ${s.cpu_ms.toFixed(0)}ms |`).join('\n')}
+${Object.keys(soakResults.errorMessages).length > 0 ? `
+## ❗ 失败原因
+${Object.entries(soakResults.errorMessages).map(([msg, count]) => `- ${msg} (${count}次)`).join('\n')}` : ''}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+    _meta: { passed }
+  };
+});
+
+// 注册 run_test_suite 工具
+server.registerTool("run_test_suite", {
+  title: "Run Test Suite",
+  description: "加载JSON或YAML测试套件文件并执行，对每个用例的响应做断言（精确匹配、子集匹配、JSONPath、正则、isError、最大耗时），报告中给出每条断言的结果和期望/实际差异",
+  inputSchema: {
+    suite_file: z.string().describe("测试套件文件路径（.json/.yaml/.yml）。文件结构：{name, server_command?, log_level?, timeout_ms?, variables?, cases: [{name, id?, tool, arguments, timeout_ms?, expect, capture?}]}，expect支持：equals、subset、jsonpath、text_matches、isError、error_matches、max_latency_ms、progress、notifications；capture从响应中提取变量，后续用例的arguments和expect可用 {{用例id.变量名}} 引用"),
+    server_command: z.string().optional().describe("MCP服务器启动命令，覆盖套件文件中的server_command"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    ...reportSchema,
+    stop_on_error: z.boolean().default(false).describe("用例失败时是否停止后续用例"),
+    log_level: z.enum(LOGGING_LEVELS).optional().describe("执行前通过logging/setLevel设置的服务器日志级别，覆盖套件文件中的log_level")
+  }
+}, async ({ suite_file, server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, stop_on_error = false, log_level, report_format = 'markdown', html_report_file, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  const suite = await loadTestSuite(suite_file);
+
+  // 工具参数优先，其次使用套件文件中声明的目标服务器
+  const target = {
+    server_name: server_name || suite.server_name,
+    server_config: server_config || suite.server_config,
+    server_command: server_command || suite.server_command,
+    server_url: server_url || suite.server_url,
+    server_headers: Object.keys(server_headers || {}).length > 0 ? server_headers : suite.server_headers || {},
+    server_transport: server_url ? server_transport : suite.server_transport || server_transport
+  };
+
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : target.server_name || target.server_url || target.server_command;
+  const suiteResults = {
+    name: suite.name || path.basename(suite_file),
+    file: path.resolve(suite_file),
+    total_cases: suite.cases.length,
+    passed: 0,
+    failed: 0,
+    skipped: 0,
+    execution_time: 0,
+    logLevelError: null,
+    results: []
+  };
+
+  const startTime = Date.now();
+
+  try {
+    // 连接并初始化（会话已连接时跳过）
+    if (!session) {
+      targetLabel = await connectTarget(client, target);
+      await client.initialize();
+    }
+
+    const logLevel = log_level || suite.log_level;
+    if (logLevel) {
+      suiteResults.logLevelError = await trySetLoggingLevel(client, logLevel);
+    }
+
+    const toolNames = (await client.listTools()).map(t => t.name);
+    // 用例之间共享的变量，capture提取的值按用例id存放
+    const variables = structuredClone(suite.variables || {});
+
+    for (const [index, testCase] of suite.cases.entries()) {
+      const toolName = testCase.tool || testCase.tool_name;
+      const caseResult = {
+        name: testCase.name || `${index + 1}. ${toolName}`,
+        tool_name: toolName,
+        arguments: testCase.arguments || {},
+        passed: false,
+        skipped: false,
+        assertions: []
+      };
+
+      if (testCase.skip) {
+        caseResult.skipped = true;
+        suiteResults.results.push(caseResult);
+        continue;
+      }
+
+      let expect;
+      try {
+        caseResult.arguments = resolveTemplates(testCase.arguments || {}, variables);
+        caseResult.templated = JSON.stringify(caseResult.arguments) !== JSON.stringify(testCase.arguments || {});
+        expect = resolveTemplates(testCase.expect || {}, variables);
+      } catch (error) {
+        caseResult.error = error.message;
+      }
+
+      if (caseResult.error) {
+        // 引用的变量不存在（通常是前面的捕获失败），不调用工具
+      } else if (!toolNames.includes(toolName)) {
+        caseResult.error = `工具 ${toolName} 不存在`;
+      } else {
+        // 超时优先级：用例timeout_ms > 套件timeout_ms > request_timeout_ms
+        const outcome = await callToolWithNotifications(client, toolName, caseResult.arguments, { timeoutMs: testCase.timeout_ms ?? suite.timeout_ms });
+        caseResult.response = outcome.response;
+        caseResult.error = outcome.error?.message;
+        caseResult.execution_time = outcome.execution_time;
+        caseResult.notifications = outcome.notifications;
+        caseResult.assertions = evaluateExpectations(expect, caseResult);
+
+        if (testCase.capture) {
+          const captured = captureVariables(testCase.capture, outcome);
+          caseResult.captured = captured.values;
+          storeCapturedVariables(variables, testCase.id, captured.values);
+          caseResult.assertions.push(...captured.errors.map(message => ({ description: '捕获变量', passed: false, message })));
+        }
+      }
+
+      // 没有断言时，以调用成功作为通过条件
+      caseResult.passed = caseResult.assertions.length > 0
+        ? caseResult.assertions.every(a => a.passed)
+        : !caseResult.error && !caseResult.response?.isError;
+      suiteResults.results.push(caseResult);
+
+      if (!caseResult.passed && stop_on_error) {
+        break;
+      }
+    }
+
+    suiteResults.passed = suiteResults.results.filter(r => r.passed).length;
+    suiteResults.skipped = suiteResults.results.filter(r => r.skipped).length;
+    suiteResults.failed = suiteResults.results.filter(r => !r.passed && !r.skipped).length;
+    suiteResults.execution_time = Date.now() - startTime;
+
+  } catch (error) {
+    throw new Error(`测试套件执行失败: ${error.message}${formatDiagnostics(client)}`);
+  } finally {
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  // 生成报告
+  const report = `# 测试套件报告: ${suiteResults.name}
+
+## 📊 测试概览
+- **套件文件**: \`${suiteResults.file}\`
+- **目标服务器**: \`${targetLabel}\`
+- **用例总数**: ${suiteResults.total_cases}
+- **通过**: ${suiteResults.passed}
+- **失败**: ${suiteResults.failed}
+- **跳过**: ${suiteResults.skipped}
+- **未执行**: ${suiteResults.total_cases - suiteResults.results.length}
+- **总执行时间**: ${suiteResults.execution_time}ms
+- **结论**: ${suiteResults.failed === 0 ? '✅ 全部通过' : '❌ 存在失败用例'}${suiteResults.logLevelError ? `\n- ⚠️ **设置日志级别失败**: ${suiteResults.logLevelError}` : ''}
+
+## 📝 详细结果
+
+${suiteResults.results.map((result) => {
+  if (result.skipped) {
+    return `### ⏭️ ${result.name}\n**状态**: 跳过`;
+  }
+
+  let details = `### ${result.passed ? '✅' : '❌'} ${result.name}`;
+  details += `\n**工具**: ${result.tool_name}`;
+  if (result.execution_time !== undefined) {
+    details += `\n**执行时间**: ${result.execution_time}ms`;
+  }
+  if (result.error) {
+    details += `\n**调用错误**: ${result.error}`;
+  }
+  if (result.templated) {
+    details += `\n**替换变量后的参数**: \`${JSON.stringify(result.arguments)}\``;
+  }
+  if (result.captured && Object.keys(result.captured).length > 0) {
+    details += `\n**捕获变量**: ${Object.entries(result.captured).map(([name, value]) => `\`${name}\` = \`${formatDiffValue(value)}\``).join('，')}`;
+  }
+
+  if (result.assertions.length > 0) {
+    details += `\n\n**断言**:\n${result.assertions.map(a => {
+      let line = `- ${a.passed ? '✅' : '❌'} ${a.description}`;
+      if (!a.passed && a.diffs?.length > 0) {
+        line += `\n${a.diffs.map(d => `  - \`${d.path}\`: 期望 \`${formatDiffValue(d.expected)}\`，实际 \`${formatDiffValue(d.actual)}\``).join('\n')}`;
+      } else if (!a.passed && a.message) {
+        line += `\n  - ${a.message}`;
+      }
+      return line;
+    }).join('\n')}`;
+  }
+
+  if (!result.passed && result.response) {
+    details += `\n\n**实际响应**:\n\`\`\`json\n${JSON.stringify(result.response, null, 2)}\n\`\`\``;
+  }
+
+  details += formatNotifications(result.notifications, '####');
+
+  return details;
+}).join('\n\n---\n\n')}${formatDiagnostics(client)}`;
+
+  // 结果按用例顺序记录，stop_on_error中断后未执行的用例记为跳过
+  const reportCases = suite.cases.map((testCase, index) => {
+    const result = suiteResults.results[index];
+    if (!result) {
+      return { name: testCase.name || `${index + 1}. ${testCase.tool || testCase.tool_name}`, status: 'skipped', message: 'stop_on_error中断，未执行' };
+    }
+    if (result.skipped) {
+      return { name: result.name, status: 'skipped', message: '用例标记为skip' };
+    }
+    const failures = result.assertions.filter(a => !a.passed).map(a => `${a.description}${a.message ? `: ${a.message}` : ''}`);
+    return {
+      name: result.name,
+      status: result.passed ? 'passed' : 'failed',
+      time_ms: result.execution_time,
+      message: result.passed ? undefined : [result.error, ...failures].filter(Boolean).join('\n') || '调用失败',
+      details: JSON.stringify({ arguments: result.arguments, assertions: result.assertions, response: result.response }, null, 2)
+    };
+  });
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: await renderReport({ format: report_format, title: `测试套件: ${suiteResults.name}`, markdown: report, data: suiteResults, cases: reportCases, client, htmlFile: html_report_file }),
+      },
+    ],
+    _meta: { passed: suiteResults.failed === 0 }
+  };
+});
+
+// 注册 snapshot_test 工具
+server.registerTool("snapshot_test", {
+  title: "Snapshot Test",
+  description: "快照测试：执行测试套件中的用例，把规范化并脱敏后的工具响应与已保存的快照比较。首次运行或update_snapshots=true时写入快照，响应变化时给出差异；时间戳、ID等易变字段可通过JSONPath或正则脱敏规则屏蔽",
+  inputSchema: {
+    suite_file: z.string().describe("测试套件文件路径（.json/.yaml/.yml），格式与run_test_suite相同，可另加 snapshot: {dir?, redact_paths?, redact_patterns?}"),
+    server_command: z.string().optional().describe("MCP服务器启动命令，覆盖套件文件中的server_command"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    snapshot_dir: z.string().optional().describe("快照目录，默认为套件文件所在目录下的 __snapshots__；快照文件名为 <套件文件名>.snap.json"),
+    update_snapshots: z.boolean().default(false).describe("是否用本次响应覆盖已有快照（审核确认变更后使用）"),
+    ci: z.boolean().default(false).describe("CI模式：缺少快照视为失败且不写入任何文件"),
+    redact_paths: z.array(z.string()).default([]).describe("需要脱敏的JSONPath列表，在规范化后的响应上计算，如 $..id、$.content[0].json.createdAt；与套件文件中的redact_paths合并"),
+    redact_patterns: z.array(z.object({
+      pattern: z.string().describe("正则表达式，作用于响应中的每个字符串值"),
+      replacement: z.string().default('[REDACTED]').describe("替换文本"),
+      flags: z.string().default('g').describe("正则标志，如i；总会加上g以替换所有匹配")
+    })).default([]).describe("基于正则的脱敏规则，与套件文件中的redact_patterns合并"),
+    default_redactions: z.boolean().default(true).describe("是否启用内置脱敏规则（ISO时间戳替换为[TIMESTAMP]，UUID替换为[UUID]）")
+  }
+}, async ({ suite_file, server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, snapshot_dir, update_snapshots = false, ci = false, redact_paths = [], redact_patterns = [], default_redactions = true, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  const suite = await loadTestSuite(suite_file);
+  const snapshotConfig = suite.snapshot || {};
+  const redactions = {
+    paths: [...(snapshotConfig.redact_paths || []), ...redact_paths],
+    patterns: [
+      ...(default_redactions ? DEFAULT_SNAPSHOT_REDACTIONS : []),
+      ...(snapshotConfig.redact_patterns || []),
+      ...redact_patterns
+    ].map(compileRedactionPattern)
+  };
+
+  // 快照目录优先级：工具参数 > 套件文件中的snapshot.dir（相对套件文件） > 默认目录
+  const suiteDir = path.dirname(path.resolve(suite_file));
+  const snapshotDir = snapshot_dir
+    ? path.resolve(snapshot_dir)
+    : path.resolve(suiteDir, snapshotConfig.dir || '__snapshots__');
+  const snapshotFile = path.join(snapshotDir, `${path.basename(suite_file)}.snap.json`);
+  const stored = await loadSnapshotFile(snapshotFile);
+
+  const target = {
+    server_name: server_name || suite.server_name,
+    server_config: server_config || suite.server_config,
+    server_command: server_command || suite.server_command,
+    server_url: server_url || suite.server_url,
+    server_headers: Object.keys(server_headers || {}).length > 0 ? server_headers : suite.server_headers || {},
+    server_transport: server_url ? server_transport : suite.server_transport || server_transport
+  };
+
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : target.server_name || target.server_url || target.server_command;
+  const results = [];
+  const startTime = Date.now();
+
+  try {
+    if (!session) {
+      targetLabel = await connectTarget(client, target);
+      await client.initialize();
+    }
+
+    const toolNames = (await client.listTools()).map(t => t.name);
+    const variables = structuredClone(suite.variables || {});
+
+    for (const [index, testCase] of suite.cases.entries()) {
+      const toolName = testCase.tool || testCase.tool_name;
+      const caseResult = {
+        name: testCase.name || `${index + 1}. ${toolName}`,
+        tool_name: toolName
+      };
+      results.push(caseResult);
+
+      if (testCase.skip) {
+        caseResult.status = 'skipped';
+        continue;
+      }
+      if (!toolNames.includes(toolName)) {
+        caseResult.status = 'failed';
+        caseResult.error = `工具 ${toolName} 不存在`;
+        continue;
+      }
+
+      let args;
+      try {
+        args = resolveTemplates(testCase.arguments || {}, variables);
+      } catch (error) {
+        caseResult.status = 'failed';
+        caseResult.error = error.message;
+        continue;
+      }
+
+      const outcome = await callToolWithNotifications(client, toolName, args, { timeoutMs: testCase.timeout_ms ?? suite.timeout_ms });
+      caseResult.execution_time = outcome.execution_time;
+      caseResult.value = redactSnapshotValue(normalizeSnapshotValue(outcome), redactions);
+
+      // 捕获的是脱敏前的原始值，供后续用例引用
+      if (testCase.capture) {
+        const captured = captureVariables(testCase.capture, outcome);
+        storeCapturedVariables(variables, testCase.id, captured.values);
+        if (captured.errors.length > 0) {
+          caseResult.status = 'failed';
+          caseResult.error = `捕获变量失败: ${captured.errors.join('；')}`;
+          continue;
+        }
+      }
+
+      const expected = stored.cases[caseResult.name];
+      if (expected === undefined) {
+        caseResult.status = ci ? 'missing' : 'new';
+      } else {
+        caseResult.diffs = diffValues(expected, caseResult.value);
+        if (caseResult.diffs.length === 0) {
+          caseResult.status = 'matched';
+        } else {
+          caseResult.status = update_snapshots && !ci ? 'updated' : 'changed';
+        }
+      }
+    }
+  } catch (error) {
+    throw new Error(`快照测试执行失败: ${error.message}${formatDiagnostics(client)}`);
+  } finally {
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  // 快照中存在但套件里已没有的用例
+  const caseNames = new Set(results.map(r => r.name));
+  const obsolete = Object.keys(stored.cases).filter(name => !caseNames.has(name));
+
+  // 只有新增或确认更新时才写文件；update_snapshots同时清理过期快照
+  let written = false;
+  const hasWrites = results.some(r => r.status === 'new' || r.status === 'updated') || (update_snapshots && obsolete.length > 0);
+  if (!ci && hasWrites) {
+    const cases = { ...stored.cases };
+    for (const result of results) {
+      if (result.status === 'new' || result.status === 'updated') {
+        cases[result.name] = result.value;
+      }
+    }
+    if (update_snapshots) {
+      obsolete.forEach(name => delete cases[name]);
+    }
+    await fs.mkdir(snapshotDir, { recursive: true });
+    await fs.writeFile(snapshotFile, `${JSON.stringify({ suite: suite.name || path.basename(suite_file), updated_at: new Date().toISOString(), cases }, null, 2)}\n`, 'utf-8');
+    written = true;
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  const failed = count('changed') + count('missing') + count('failed');
+  // CI模式下快照文件必须与套件完全对应，过期快照也视为失败
+  const passed = failed === 0 && !(ci && obsolete.length > 0);
+  const statusLabels = {
+    matched: '✅ 匹配',
+    new: '🆕 新建快照',
+    updated: '📝 已更新',
+    changed: '❌ 与快照不一致',
+    missing: '❌ 缺少快照',
+    failed: '❌ 执行失败',
+    skipped: '⏭️ 跳过'
+  };
+
+  const report = `# 快照测试报告: ${suite.name || path.basename(suite_file)}
+
+## 📊 测试概览
+- **套件文件**: \`${path.resolve(suite_file)}\`
+- **快照文件**: \`${snapshotFile}\`${written ? ' (已写入)' : ''}
+- **目标服务器**: \`${targetLabel}\`
+- **模式**: ${ci ? 'CI（只比较不写入）' : update_snapshots ? '更新快照' : '比较'}
+- **用例总数**: ${results.length}
+- **匹配**: ${count('matched')}
+- **新建**: ${count('new')}
+- **更新**: ${count('updated')}
+- **不一致**: ${count('changed')}
+- **缺少快照**: ${count('missing')}
+- **执行失败**: ${count('failed')}
+- **跳过**: ${count('skipped')}
+- **脱敏规则**: ${redactions.paths.length}条路径，${redactions.patterns.length}条正则
+- **总执行时间**: ${Date.now() - startTime}ms
+- **结论**: ${passed ? '✅ 全部通过' : failed > 0 ? '❌ 存在失败用例' : '❌ 存在过期快照（CI模式）'}
+
+## 📝 详细结果
+
+${results.map(result => {
+  let details = `### ${statusLabels[result.status]} ${result.name}`;
+  details += `\n**工具**: ${result.tool_name}`;
+  if (result.execution_time !== undefined) {
+    details += `\n**执行时间**: ${result.execution_time}ms`;
+  }
+  if (result.error) {
+    details += `\n**错误**: ${result.error}`;
+  }
+  if (result.diffs?.length > 0) {
+    details += `\n\n**差异**（快照 → 实际）:\n${result.diffs.map(d => `- \`${d.path}\`: \`${formatDiffValue(d.expected)}\` → \`${formatDiffValue(d.actual)}\``).join('\n')}`;
+  }
+  if (result.status === 'new' || result.status === 'missing') {
+    details += `\n\n**响应**:\n\`\`\`json\n${JSON.stringify(result.value, null, 2)}\n\`\`\``;
+  }
+  return details;
+}).join('\n\n---\n\n')}${obsolete.length > 0 ? `\n\n## 🗑️ 过期快照\n${obsolete.map(name => `- ${name}${update_snapshots && !ci ? '（已删除）' : ''}`).join('\n')}` : ''}${count('changed') > 0 && !ci ? '\n\n💡 确认变更符合预期后，使用 update_snapshots=true 重新运行以更新快照' : ''}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+    _meta: { passed }
+  };
+});
+
+// 注册 fuzz_tool 工具
+server.registerTool("fuzz_tool", {
+  title: "Fuzz Tool",
+  description: "根据工具的inputSchema生成大量边界和异常参数（缺少必需字段、类型错误、枚举越界、数值/长度边界、空数组、超长字符串、Unicode、null、多余字段），并归类服务器的反应：JSON-RPC错误、isError结果、崩溃或挂起。相同seed可复现",
+  inputSchema: {
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    tool_name: z.string().optional().describe("要测试的工具名称（可选，不指定则测试所有工具）"),
+    seed: z.number().int().optional().describe("随机种子，指定相同的seed可复现同一组用例；不指定时随机生成并在报告中给出"),
+    max_cases: z.number().int().min(1).default(50).describe("每个工具最多执行的用例数，超出时按seed抽样"),
+    case_timeout_ms: z.number().int().min(100).default(5000).describe("单个用例的超时时间(毫秒)，超时视为挂起并发送notifications/cancelled")
+  }
+}, async ({ server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, tool_name, seed, max_cases = 50, case_timeout_ms = 5000, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const target = { server_name, server_config, server_command, server_url, server_headers, server_transport };
+  const finalSeed = seed ?? Math.floor(Math.random() * 2 ** 31);
+  let client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  let stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : server_name || server_url || server_command;
+
+  const fuzzResults = {
+    seed: finalSeed,
+    restarts: 0,
+    crashDiagnostics: [],
+    outcomes: { success: 0, tool_error: 0, jsonrpc_error: 0, crash: 0, hang: 0 },
+    tools: []
+  };
+
+  try {
+    // 连接并初始化（会话已连接时跳过）
+    if (!session) {
+      targetLabel = await connectTarget(client, target);
+      await client.initialize();
+    }
+
+    const tools = await client.listTools();
+    const toolsToTest = tool_name ? tools.filter(t => t.name === tool_name) : tools;
+    if (tool_name && toolsToTest.length === 0) {
+      throw new Error(`未找到工具: ${tool_name}。可用的工具: ${tools.map(t => t.name).join(', ')}`);
+    }
+
+    for (const tool of toolsToTest) {
+      // 每个工具使用独立的随机序列，单独fuzz某个工具时与整体运行结果一致
+      const rng = createSeededRandom(finalSeed + hashString(tool.name));
+      let cases = generateFuzzCases(tool, rng);
+      const generatedCount = cases.length;
+      if (cases.length > max_cases) {
+        cases = shuffleWithRandom(cases.map((c, i) => ({ ...c, index: i })), rng)
+          .slice(0, max_cases)
+          .sort((a, b) => a.index - b.index);
+      }
+
+      const toolResult = { name: tool.name, generated: generatedCount, cases: [], aborted: null };
+
+      for (const fuzzCase of cases) {
+        const caseResult = { category: fuzzCase.category, description: fuzzCase.description, expectValid: fuzzCase.expectValid };
+        const callStart = Date.now();
+        try {
+          const response = await client.callTool(tool.name, fuzzCase.args, { timeoutMs: case_timeout_ms });
+          caseResult.outcome = response?.isError ? 'tool_error' : 'success';
+          caseResult.detail = extractTextContent(response).slice(0, 120);
+        } catch (error) {
+          if (error.timeout) {
+            caseResult.outcome = 'hang';
+          } else if (typeof error.code === 'number') {
+            caseResult.outcome = 'jsonrpc_error';
+          } else {
+            // 没有JSON-RPC错误码说明连接或进程出了问题
+            caseResult.outcome = 'crash';
+          }
+          caseResult.detail = `${typeof error.code === 'number' ? `[${error.code}] ` : ''}${error.message}`.slice(0, 120);
+        }
+        caseResult.executionTime = Date.now() - callStart;
+        caseResult.args = fuzzCase.args;
+        caseResult.suspicious = isSuspiciousFuzzOutcome(caseResult);
+        toolResult.cases.push(caseResult);
+        fuzzResults.outcomes[caseResult.outcome]++;
+
+        // 服务器崩溃后重新启动，继续后续用例；会话无法重启，终止剩余用例
+        if (caseResult.outcome === 'crash' || !client.isConnected()) {
+          // 保存崩溃进程的退出状态和stderr，重启后就拿不到了
+          fuzzResults.crashDiagnostics.push({ tool: tool.name, description: fuzzCase.description, section: formatDiagnostics(client, 20) });
+          if (session) {
+            toolResult.aborted = '会话连接已断开，剩余用例未执行';
+            break;
+          }
+          stopStreaming();
+          await client.stopTrace();
+          client.disconnect();
+          client = new MCPClient(createClientOptions(clientArgs));
+          // 新连接追加到同一记录文件，回放时以initialize请求区分各次连接
+          if (trace_file) client.startTrace(trace_file, { append: true });
+          stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+          try {
+            await connectTarget(client, target);
+            await client.initialize();
+            fuzzResults.restarts++;
+          } catch (error) {
+            toolResult.aborted = `服务器重启失败: ${error.message}`;
+            break;
+          }
+        }
+      }
+
+      fuzzResults.tools.push(toolResult);
+      if (toolResult.aborted && (session || !client.isConnected())) {
+        break;
+      }
+    }
+
+  } catch (error) {
+    throw new Error(`模糊测试失败: ${error.message}${formatDiagnostics(client)}`);
+  } finally {
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  const outcomeLabels = {
+    success: '✅ 成功',
+    tool_error: '⚠️ isError结果',
+    jsonrpc_error: '🚫 JSON-RPC错误',
+    crash: '💥 崩溃',
+    hang: '⏳ 挂起'
+  };
+  const totalCases = fuzzResults.tools.reduce((sum, t) => sum + t.cases.length, 0);
+  const suspiciousCases = fuzzResults.tools.flatMap(t => t.cases.filter(c => c.suspicious).map(c => ({ tool: t.name, ...c })));
+
+  // 生成报告
+  const report = `# 模糊测试报告
+
+## 📊 测试概览
+- **目标服务器**: \`${targetLabel}\`
+- **随机种子**: ${fuzzResults.seed}（传入 \`seed: ${fuzzResults.seed}\` 可复现）
+- **测试工具数**: ${fuzzResults.tools.length}
+- **执行用例数**: ${totalCases}
+- **服务器重启次数**: ${fuzzResults.restarts}
+- **测试时间**: ${new Date().toISOString()}
+
+## 📈 反应分类
+${Object.entries(fuzzResults.outcomes).map(([outcome, count]) => `- **${outcomeLabels[outcome]}**: ${count}`).join('\n')}
+
+## 🔍 可疑结果
+${suspiciousCases.length > 0 ? suspiciousCases.map(c => `- **${c.tool}** / ${c.description}: ${c.suspicious}\n  - 参数: \`${formatDiffValue(c.args)}\``).join('\n') : '未发现可疑结果'}
+
+## 📝 详细结果
+
+${fuzzResults.tools.map(tool => `### 🔧 ${tool.name}
+- 生成用例: ${tool.generated}，执行: ${tool.cases.length}${tool.aborted ? `\n- ⚠️ ${tool.aborted}` : ''}
+
+| # | 类别 | 用例 | 期望 | 反应 | 耗时 | 详情 |
+|---|------|------|------|------|------|------|
+${tool.cases.map((c, i) => `| ${i + 1} | ${c.category} | ${c.description} | ${c.expectValid ? '有效' : '无效'} | ${outcomeLabels[c.outcome]} | ${c.executionTime}ms | ${(c.detail || '').replace(/[|\n]/g, ' ')} |`).join('\n')}`).join('\n\n')}${fuzzResults.crashDiagnostics.map(d => d.section ? `\n\n---\n\n**💥 崩溃用例**: ${d.tool} / ${d.description}${d.section}` : '').join('')}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 test_resources 工具
+server.registerTool("test_resources", {
+  title: "Test Resources",
+  description: "测试MCP服务器的资源功能：读取每个列出的资源，展开资源模板并读取，校验contents结构（text或blob+mimeType），并可测试resources/subscribe更新通知",
+  inputSchema: {
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    uris: z.array(z.string()).optional().describe("只测试这些资源URI（可选，默认测试resources/list返回的所有资源）"),
+    template_values: z.record(z.string()).default({}).describe("展开资源模板时使用的变量值，如 {\"id\": \"123\"}；未提供的变量自动生成"),
+    subscribe: z.boolean().default(false).describe("是否测试resources/subscribe并等待notifications/resources/updated"),
+    trigger_tool: z.string().optional().describe("订阅后调用的工具，用于触发资源更新（可选）"),
+    trigger_arguments: z.record(z.any()).default({}).describe("trigger_tool的参数"),
+    subscription_timeout_ms: z.number().int().min(100).default(5000).describe("等待资源更新通知的超时时间(毫秒)")
+  }
+}, async ({ server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, uris, template_values = {}, subscribe = false, trigger_tool, trigger_arguments = {}, subscription_timeout_ms = 5000, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : server_name || server_url || server_command;
+  const resourceResults = {
+    capabilities: null,
+    resources: [],
+    templates: [],
+    subscriptions: [],
+    errors: []
+  };
+
+  // 读取一个资源并校验contents
+  const readAndValidate = async (uri) => {
+    const readStart = Date.now();
+    try {
+      const result = await client.readResource(uri);
+      const issues = validateResourceContents(result, uri);
+      return {
+        uri,
+        success: true,
+        executionTime: Date.now() - readStart,
+        contents: result?.contents || [],
+        issues,
+        valid: !issues.some(i => i.severity === 'error')
+      };
+    } catch (error) {
+      return { uri, success: false, executionTime: Date.now() - readStart, error: error.message, issues: [], valid: false };
+    }
+  };
+
+  try {
+    // 连接并初始化（会话已连接时跳过）
+    let initResult;
+    if (session) {
+      initResult = session.initResult;
+    } else {
+      targetLabel = await connectTarget(client, { server_name, server_config, server_command, server_url, server_headers, server_transport });
+      initResult = await client.initialize();
+    }
+    resourceResults.capabilities = initResult.capabilities?.resources || null;
+
+    // 读取列出的资源
+    const resources = await client.listResources();
+    const urisToRead = uris && uris.length > 0 ? uris : resources.map(r => r.uri);
+    for (const uri of urisToRead) {
+      const listed = resources.find(r => r.uri === uri);
+      const readResult = await readAndValidate(uri);
+      if (listed?.mimeType && readResult.contents.some(c => c.mimeType && c.mimeType !== listed.mimeType)) {
+        readResult.issues.push({ severity: 'warning', path: 'contents', message: `返回的mimeType与resources/list声明的 ${listed.mimeType} 不一致` });
+      }
+      resourceResults.resources.push({ name: listed?.name, ...readResult });
+    }
+
+    // 展开资源模板并读取
+    const templates = await client.listResourceTemplates();
+    for (const template of templates) {
+      const { uri, values } = expandUriTemplate(template.uriTemplate, template_values);
+      resourceResults.templates.push({
+        name: template.name,
+        uriTemplate: template.uriTemplate,
+        values,
+        ...(await readAndValidate(uri))
+      });
+    }
+
+    // 订阅测试
+    if (subscribe) {
+      if (!resourceResults.capabilities?.subscribe) {
+        resourceResults.errors.push('服务器未在capabilities.resources中声明subscribe，跳过订阅测试');
+      } else {
+        const subscribeUris = urisToRead.length > 0 ? urisToRead : resourceResults.templates.map(t => t.uri);
+        for (const uri of subscribeUris) {
+          const subscription = { uri, subscribed: false, notified: false };
+          try {
+            await client.subscribeResource(uri);
+            subscription.subscribed = true;
+
+            const waitStart = Date.now();
+            const notificationPromise = client.waitForNotification(
+              'notifications/resources/updated',
+              (message) => message.params?.uri === uri,
+              subscription_timeout_ms
+            );
+            if (trigger_tool) {
+              await client.callTool(trigger_tool, trigger_arguments);
+            }
+            const notification = await notificationPromise;
+            subscription.notified = !!notification;
+            subscription.waitTime = Date.now() - waitStart;
+
+            await client.unsubscribeResource(uri);
+            subscription.unsubscribed = true;
+          } catch (error) {
+            subscription.error = error.message;
+          }
+          resourceResults.subscriptions.push(subscription);
+        }
+      }
+    }
+
+  } catch (error) {
+    resourceResults.errors.push(error.message);
+  } finally {
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  const severityIcons = { error: '❌', warning: '⚠️' };
+  const formatReadResult = (result, title) => {
+    let details = `### ${result.success && result.valid ? '✅' : '❌'} ${title}`;
+    details += `\n- **URI**: \`${result.uri}\``;
+    if (result.success) {
+      details += `\n- **读取耗时**: ${result.executionTime}ms`;
+      details += `\n- **内容项**: ${result.contents.map(c => `${c.text !== undefined ? 'text' : c.blob !== undefined ? 'blob' : '未知'}${c.mimeType ? ` (${c.mimeType})` : ''}`).join(', ') || '无'}`;
+      const preview = result.contents.find(c => typeof c.text === 'string')?.text;
+      if (preview) {
+        details += `\n\n\`\`\`\n${preview.length > 500 ? `${preview.slice(0, 500)}...` : preview}\n\`\`\``;
+      }
+    } else {
+      details += `\n- **错误**: ${result.error}`;
+    }
+    if (result.issues.length > 0) {
+      details += `\n\n${result.issues.map(i => `- ${severityIcons[i.severity]} [${i.severity}] \`${i.path}\`: ${i.message}`).join('\n')}`;
+    }
+    return details;
+  };
+
+  // 生成报告
+  const report = `# 资源测试报告
+
+## 📊 测试概览
+- **目标服务器**: \`${targetLabel}\`
+- **资源能力**: ${resourceResults.capabilities ? `✅ 已声明${resourceResults.capabilities.subscribe ? '（支持订阅）' : ''}${resourceResults.capabilities.listChanged ? '（支持listChanged）' : ''}` : '❌ 未声明'}
+- **读取资源数**: ${resourceResults.resources.length}（成功 ${resourceResults.resources.filter(r => r.success && r.valid).length}）
+- **资源模板数**: ${resourceResults.templates.length}（成功 ${resourceResults.templates.filter(r => r.success && r.valid).length}）
+- **测试时间**: ${new Date().toISOString()}
+
+## 📦 资源
+${resourceResults.resources.length > 0 ? resourceResults.resources.map(r => formatReadResult(r, r.name || r.uri)).join('\n\n') : '未发现任何资源'}
+
+## 🧩 资源模板
+${resourceResults.templates.length > 0 ? resourceResults.templates.map(t => `${formatReadResult(t, t.name || t.uriTemplate)}\n- **模板**: \`${t.uriTemplate}\`\n- **变量**: \`${JSON.stringify(t.values)}\``).join('\n\n') : '未发现任何资源模板'}
+${subscribe ? `
+## 🔔 订阅测试
+${resourceResults.subscriptions.length > 0 ? resourceResults.subscriptions.map(sub => `- ${sub.notified ? '✅' : '❌'} \`${sub.uri}\`: ${sub.error ? `错误: ${sub.error}` : sub.notified ? `${sub.waitTime}ms内收到更新通知` : `${subscription_timeout_ms}ms内未收到更新通知`}${sub.unsubscribed ? '，已取消订阅' : ''}`).join('\n') : '未执行订阅测试'}` : ''}
+${resourceResults.errors.length > 0 ? `
+## ⚠️ 错误
+${resourceResults.errors.map(e => `- ${e}`).join('\n')}` : ''}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 test_prompts 工具
+server.registerTool("test_prompts", {
+  title: "Test Prompts",
+  description: "测试MCP服务器的提示功能：对每个提示调用prompts/get（必需参数使用提供值或自动生成），校验返回messages的role和content类型，并确认缺少必需参数时服务器返回错误",
+  inputSchema: {
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    prompt_name: z.string().optional().describe("要测试的特定提示名称（可选，默认测试所有提示）"),
+    prompt_arguments: z.record(z.any()).default({}).describe("提示参数。指定了prompt_name时直接传递该提示的参数；否则传递一个对象，键为提示名，值为对应参数。示例：{\"greet\": {\"name\": \"Alice\"}}"),
+    check_missing_required: z.boolean().default(true).describe("是否测试缺少必需参数时服务器返回错误")
+  }
+}, async ({ server_command, server_name, server_config, server_url, server_headers, server_transport, session_id, prompt_name, prompt_arguments = {}, check_missing_required = true, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  const session = session_id ? getSession(session_id, { traceFile: trace_file }) : null;
+  const client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  if (trace_file) client.startTrace(trace_file);
+  const stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : server_name || server_url || server_command;
+  const promptResults = {
+    totalPrompts: 0,
+    prompts: [],
+    errors: []
+  };
+
+  try {
+    // 连接并初始化（会话已连接时跳过）
+    if (!session) {
+      targetLabel = await connectTarget(client, { server_name, server_config, server_command, server_url, server_headers, server_transport });
+      await client.initialize();
+    }
+
+    const prompts = await client.listPrompts();
+    promptResults.totalPrompts = prompts.length;
+
+    const promptsToTest = prompt_name ? prompts.filter(p => p.name === prompt_name) : prompts;
+    if (prompt_name && promptsToTest.length === 0) {
+      throw new Error(`未找到提示: ${prompt_name}。可用的提示: ${prompts.map(p => p.name).join(', ') || '无'}`);
+    }
+
+    for (const prompt of promptsToTest) {
+      const declaredArgs = prompt.arguments || [];
+      const requiredArgs = declaredArgs.filter(a => a.required).map(a => a.name);
+
+      // 与validate_mcp_tools相同的参数选择逻辑：单个提示直接使用prompt_arguments，否则按提示名取值
+      const providedArgs = prompt_name && Object.keys(prompt_arguments).length > 0 && !prompt_arguments[prompt.name]
+        ? prompt_arguments
+        : prompt_arguments[prompt.name] || {};
+      const args = { ...providedArgs };
+      for (const name of requiredArgs) {
+        if (args[name] === undefined) {
+          args[name] = `example_${name}`;
+        }
+      }
+
+      const promptResult = {
+        name: prompt.name,
+        description: prompt.description,
+        declaredArgs,
+        args,
+        success: false,
+        issues: [],
+        missingRequiredChecks: []
+      };
+
+      // 检查提示定义
+      for (const arg of declaredArgs) {
+        if (!arg.name) {
+          promptResult.issues.push({ severity: 'error', path: 'arguments', message: '参数定义缺少name' });
+        } else if (!arg.description) {
+          promptResult.issues.push({ severity: 'warning', path: `arguments.${arg.name}`, message: '参数缺少描述' });
+        }
+      }
+
+      const getStart = Date.now();
+      try {
+        const result = await client.getPrompt(prompt.name, args);
+        promptResult.executionTime = Date.now() - getStart;
+        promptResult.success = true;
+        promptResult.messages = result?.messages;
+        promptResult.issues.push(...validatePromptMessages(result));
+      } catch (error) {
+        promptResult.executionTime = Date.now() - getStart;
+        promptResult.error = error.message;
+      }
+
+      // 逐个省略必需参数，期望服务器返回错误
+      if (check_missing_required) {
+        for (const name of requiredArgs) {
+          const { [name]: _omitted, ...rest } = args;
+          try {
+            await client.getPrompt(prompt.name, rest);
+            promptResult.missingRequiredChecks.push({ argument: name, rejected: false });
+          } catch (error) {
+            promptResult.missingRequiredChecks.push({ argument: name, rejected: true, error: error.message });
+          }
+        }
+      }
+
+      promptResult.valid = promptResult.success
+        && !promptResult.issues.some(i => i.severity === 'error')
+        && promptResult.missingRequiredChecks.every(c => c.rejected);
+      promptResults.prompts.push(promptResult);
+    }
+
+  } catch (error) {
+    promptResults.errors.push(error.message);
+  } finally {
+    stopStreaming();
+    if (trace_file) await client.stopTrace();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  const severityIcons = { error: '❌', warning: '⚠️' };
+
+  // 生成报告
+  const report = `# 提示测试报告
+
+## 📊 测试概览
+- **目标服务器**: \`${targetLabel}\`
+- **提示总数**: ${promptResults.totalPrompts}
+- **测试提示数**: ${promptResults.prompts.length}
+- **通过**: ${promptResults.prompts.filter(p => p.valid).length}
+- **测试时间**: ${new Date().toISOString()}
+
+## 📝 详细结果
+
+${promptResults.prompts.length > 0 ? promptResults.prompts.map(prompt => {
+  let details = `### ${prompt.valid ? '✅' : '❌'} ${prompt.name}`;
+  details += `\n**描述**: ${prompt.description || '无描述'}`;
+  details += `\n**声明的参数**: ${prompt.declaredArgs.length > 0 ? prompt.declaredArgs.map(a => `${a.name}${a.required ? '（必需）' : ''}`).join(', ') : '无'}`;
+  details += `\n\n**prompts/get**: ${prompt.success ? `✅ 成功 (${prompt.executionTime}ms)` : `❌ 失败: ${prompt.error}`}`;
+  details += `\n\n#### 📤 请求参数:\n\`\`\`json\n${JSON.stringify(prompt.args, null, 2)}\n\`\`\``;
+
+  if (prompt.messages) {
+    details += `\n\n#### 💬 返回消息 (${prompt.messages.length}条):\n${prompt.messages.map((m, i) => {
+      const content = m?.content;
+      const preview = content?.type === 'text' ? content.text : `[${content?.type || '未知'}]`;
+      return `${i + 1}. **${m?.role}**: ${preview && preview.length > 200 ? `${preview.slice(0, 200)}...` : preview}`;
+    }).join('\n')}`;
+  }
+
+  if (prompt.missingRequiredChecks.length > 0) {
+    details += `\n\n**缺少必需参数检查**:\n${prompt.missingRequiredChecks.map(c => `- ${c.rejected ? '✅' : '❌'} 省略 ${c.argument}: ${c.rejected ? `服务器返回错误 (${c.error})` : '服务器未报错'}`).join('\n')}`;
+  }
+
+  if (prompt.issues.length > 0) {
+    details += `\n\n**发现的问题**:\n${prompt.issues.map(i => `- ${severityIcons[i.severity]} [${i.severity}] \`${i.path}\`: ${i.message}`).join('\n')}`;
+  }
+
+  return details;
+}).join('\n\n---\n\n') : '未发现任何提示'}
+${promptResults.errors.length > 0 ? `
+## ⚠️ 错误
+${promptResults.errors.map(e => `- ${e}`).join('\n')}` : ''}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 replay_trace 工具
+server.registerTool("replay_trace", {
+  title: "Replay Trace",
+  description: "把trace_file记录的协议流量重新发送给目标服务器，逐个对比新响应与记录中的响应（结果或JSON-RPC错误），报告差异。用于一次捕获问题、每次修复后回放验证",
+  inputSchema: {
+    trace_file: z.string().describe("要回放的协议记录文件（JSONL），由各工具的trace_file参数生成"),
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    server_args: z.array(z.string()).default([]).describe("服务器启动参数"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...sessionSchema,
+    stream_stderr: diagnosticsSchema.stream_stderr,
+    ...clientSchema,
+    ignore_paths: z.array(z.string()).default([]).describe("对比时忽略的路径（含其子路径），如 [\"$.result.serverInfo.version\", \"$.error.message\"]"),
+    stop_on_mismatch: z.boolean().default(false).describe("出现不一致时是否停止回放")
+  }
+}, async ({ trace_file, server_command, server_args = [], server_name, server_config, server_url, server_headers, server_transport, session_id, stream_stderr = false, ignore_paths = [], stop_on_mismatch = false, ...clientArgs }, extra) => {
+  const { frames, invalidLines } = await loadTraceFile(trace_file);
+  const { steps, skipped } = buildReplaySteps(frames);
+  if (steps.length === 0) {
+    throw new Error(`记录文件中没有可回放的请求: ${trace_file}`);
+  }
+
+  const session = session_id ? getSession(session_id) : null;
+  const target = { server_name, server_config, server_command, server_url, server_headers, server_transport };
+  let client = session ? session.client : new MCPClient(createClientOptions(clientArgs));
+  let stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+  let targetLabel = session ? `${session.target} [会话: ${session_id}]` : server_name || server_url || server_command;
+
+  const replayResults = {
+    file: path.resolve(trace_file),
+    frames: frames.length,
+    invalidLines,
+    skipped,
+    notifications: 0,
+    reconnects: 0,
+    results: [],
+    execution_time: 0
+  };
+  const startTime = Date.now();
+
+  try {
+    if (!session) {
+      targetLabel = await connectTarget(client, target, server_args);
+    }
+
+    for (const step of steps) {
+      // initialized通知由client.initialize()发出，不重复发送
+      if (step.method === 'notifications/initialized') continue;
+
+      if (step.notification) {
+        await client.writeMessage({ jsonrpc: '2.0', method: step.method, ...(step.params !== undefined ? { params: step.params } : {}) });
+        replayResults.notifications++;
+        continue;
+      }
+
+      if (step.method === 'initialize') {
+        // 会话已初始化，记录中的initialize不再发送
+        if (session) continue;
+        // 记录中包含多次连接（如模糊测试中服务器崩溃后重启），对应地重新连接
+        if (client.initialized || !client.isConnected()) {
+          stopStreaming();
+          client.disconnect();
+          client = new MCPClient(createClientOptions(clientArgs));
+          stopStreaming = stream_stderr ? streamStderr(client, extra) : () => {};
+          await connectTarget(client, target, server_args);
+          replayResults.reconnects++;
+        }
+      } else if (!client.initialized && !session) {
+        // 记录从连接中途开始（如在会话中记录），先按默认参数初始化
+        await client.initialize();
+      }
+
+      const stepResult = { index: replayResults.results.length + 1, method: step.method, params: step.params, expected: step.expected };
+      const callStart = Date.now();
+      try {
+        const result = step.method === 'initialize'
+          ? await client.initialize(step.params)
+          : await client.sendRequest(step.method, step.params);
+        stepResult.actual = { result };
+      } catch (error) {
+        // 数字错误码为JSON-RPC错误响应，其余为传输层失败（超时、进程退出等）
+        stepResult.actual = typeof error.code === 'number'
+          ? { error: { code: error.code, message: error.message } }
+          : undefined;
+        stepResult.failure = typeof error.code === 'number' ? null : error.message;
+      }
+      stepResult.execution_time = Date.now() - callStart;
+
+      // 记录中和本次都没有响应（如都崩溃或超时）视为行为一致
+      stepResult.diffs = diffValues(step.expected, stepResult.actual).filter(d => !isIgnoredDiffPath(d.path, ignore_paths));
+      stepResult.matched = stepResult.diffs.length === 0;
+      replayResults.results.push(stepResult);
+
+      if (!stepResult.matched && stop_on_mismatch) {
+        break;
+      }
+    }
+
+    replayResults.execution_time = Date.now() - startTime;
+  } catch (error) {
+    throw new Error(`回放失败: ${error.message}${formatDiagnostics(client)}`);
+  } finally {
+    stopStreaming();
+    if (!session) {
+      client.disconnect();
+    }
+  }
+
+  const matched = replayResults.results.filter(r => r.matched).length;
+  const mismatched = replayResults.results.length - matched;
+
+  const report = `# 🔁 协议回放报告
+
+## 📊 回放概览
+- **记录文件**: \`${replayResults.file}\`
+- **目标服务器**: \`${targetLabel}\`
+- **记录帧数**: ${replayResults.frames}${replayResults.invalidLines > 0 ? `（另有${replayResults.invalidLines}行无法解析）` : ''}
+- **回放请求**: ${replayResults.results.length} / ${steps.filter(s => !s.notification).length}
+- **一致**: ${matched}
+- **不一致**: ${mismatched}
+- **发送通知**: ${replayResults.notifications}
+- **重新连接**: ${replayResults.reconnects}
+- **跳过的帧**: ${replayResults.skipped}（客户端发出的响应等无法直接回放的消息）
+- **总执行时间**: ${replayResults.execution_time}ms${ignore_paths.length > 0 ? `\n- **忽略路径**: ${ignore_paths.map(p => `\`${p}\``).join(', ')}` : ''}
+- **结论**: ${mismatched === 0 ? '✅ 响应与记录一致' : '❌ 存在不一致的响应'}
+
+## 📝 请求列表
+
+| # | 方法 | 结果 | 耗时 |
+|---|------|------|------|
+${replayResults.results.map(r => `| ${r.index} | ${r.method} | ${r.matched ? '✅ 一致' : `❌ ${r.diffs.length}处差异`} | ${r.execution_time}ms |`).join('\n')}
+${mismatched > 0 ? `
+## ❌ 不一致详情
+
+${replayResults.results.filter(r => !r.matched).map(r => `### ${r.index}. ${r.method}
+**请求参数**:
+\`\`\`json
+${JSON.stringify(r.params ?? {}, null, 2)}
+\`\`\`
+${r.failure ? `**本次请求失败**: ${r.failure}\n` : ''}**差异**:
+${r.diffs.map(d => `- \`${d.path}\`: 记录 \`${formatDiffValue(d.expected)}\`，本次 \`${formatDiffValue(d.actual)}\``).join('\n')}`).join('\n\n---\n\n')}` : ''}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 test_protocol_conformance 工具
+server.registerTool("test_protocol_conformance", {
+  title: "Test Protocol Conformance",
+  description: "对目标服务器运行MCP生命周期和JSON-RPC协议一致性检查：版本协商、initialize之前的请求、ping、未知方法(-32601)、畸形JSON(-32700)、无效参数(-32602)、字符串和重复ID、通知与notifications/cancelled，输出带规范引用的通过/失败矩阵",
+  inputSchema: {
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    server_args: z.array(z.string()).default([]).describe("服务器启动参数"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...diagnosticsSchema,
+    client_capabilities: clientSchema.client_capabilities,
+    protocol_versions: z.array(z.string()).default(KNOWN_PROTOCOL_VERSIONS).describe("版本协商时依次请求的协议版本，另外总会用一个不存在的版本检查服务器的回退行为"),
+    cancel_tool: z.string().optional().describe("用于取消测试的耗时工具名称（可选）。指定后会在调用过程中发送notifications/cancelled，检查服务器不再响应该请求"),
+    cancel_arguments: z.record(z.string(), z.any()).default({}).describe("cancel_tool的调用参数"),
+    check_timeout_ms: z.number().int().min(100).default(3000).describe("每项检查等待响应的时间(毫秒)")
+  }
+}, async ({ server_command, server_args = [], server_name, server_config, server_url, server_headers, server_transport, stream_stderr = false, trace_file, client_capabilities, protocol_versions = KNOWN_PROTOCOL_VERSIONS, cancel_tool, cancel_arguments = {}, check_timeout_ms = 3000 }, extra) => {
+  const target = { server_name, server_config, server_command, server_url, server_headers, server_transport };
+  const clients = [];
+  const stopFns = [];
+  let targetLabel = server_name || server_url || server_command;
+  const checks = [];
+  const startTime = Date.now();
+
+  // 记录一项检查结果；status为 pass、fail（违反MUST）、warn（违反SHOULD）或 skip
+  const record = (category, name, level, spec, status, detail) => {
+    checks.push({ category, name, level, spec, status, detail });
+  };
+  const failStatus = (level) => level === 'MUST' ? 'fail' : 'warn';
+
+  // 每次版本协商和initialize之前的检查都需要一个新连接
+  const openConnection = async () => {
+    const client = new MCPClient({ capabilities: client_capabilities });
+    if (trace_file) client.startTrace(trace_file, { append: clients.length > 0 });
+    clients.push(client);
+    stopFns.push(stream_stderr ? streamStderr(client, extra) : () => {});
+    targetLabel = await connectTarget(client, target, server_args);
+    return client;
+  };
+  // 任何JSON-RPC响应（包括不支持ping的错误响应）都说明连接仍可用
+  const isAlive = async (client) => {
+    try {
+      await client.sendRequest('ping', {}, { timeoutMs: check_timeout_ms });
+      return true;
+    } catch (e) {
+      return typeof e.code === 'number';
+    }
+  };
+  const describeReply = (message) => {
+    if (!message) return `${check_timeout_ms}ms内无响应`;
+    if (message.error) return `错误 ${message.error.code}: ${String(message.error.message).replace(/\s+/g, ' ').slice(0, 100)}`;
+    return `结果 ${JSON.stringify(message.result).slice(0, 100)}`;
+  };
+  let nextCheckId = 1;
+  const checkId = () => `mcp-tester-conformance-${nextCheckId++}`;
+  const exchange = async (client, payload, options = {}) => {
+    const id = payload.id;
+    const replies = await exchangeRaw(client, typeof payload === 'string' ? payload : JSON.stringify(payload),
+      options.match || ((m) => (m.id === id || m.id === null) && !m.method), { timeoutMs: check_timeout_ms, ...options });
+    return options.count ? replies : replies[0];
+  };
+
+  let client;
+  try {
+    // 1. initialize之前的行为
+    client = await openConnection();
+    const receivedResponses = [];
+    client.on('message', (message) => {
+      if (message.id !== undefined && !message.method) receivedResponses.push(message);
+    });
+
+    let reply = await exchange(client, { jsonrpc: '2.0', id: checkId(), method: 'ping' });
+    record('生命周期', 'initialize之前响应ping', 'SHOULD', MCP_SPEC_REFS.lifecycle,
+      reply?.result !== undefined ? 'pass' : 'warn', describeReply(reply));
+
+    reply = await exchange(client, { jsonrpc: '2.0', id: checkId(), method: 'tools/list' });
+    record('生命周期', 'initialize之前拒绝普通请求', 'SHOULD', MCP_SPEC_REFS.lifecycle,
+      reply?.error ? 'pass' : 'warn', reply?.result !== undefined ? '服务器在初始化之前返回了结果' : describeReply(reply));
+
+    // 2. 初始化结果结构
+    const latestVersion = protocol_versions[protocol_versions.length - 1] || KNOWN_PROTOCOL_VERSIONS[KNOWN_PROTOCOL_VERSIONS.length - 1];
+    let initResult = null;
+    try {
+      initResult = await client.initialize({ protocolVersion: latestVersion });
+      const problems = [];
+      if (typeof initResult?.protocolVersion !== 'string') problems.push('缺少protocolVersion');
+      if (!initResult?.capabilities || typeof initResult.capabilities !== 'object') problems.push('缺少capabilities');
+      if (typeof initResult?.serverInfo?.name !== 'string') problems.push('serverInfo.name缺失');
+      if (typeof initResult?.serverInfo?.version !== 'string') problems.push('serverInfo.version缺失');
+      record('生命周期', 'initialize响应包含protocolVersion、capabilities、serverInfo', 'MUST', MCP_SPEC_REFS.lifecycle,
+        problems.length === 0 ? 'pass' : 'fail', problems.length === 0 ? `协议版本 ${initResult.protocolVersion}` : problems.join('，'));
+    } catch (error) {
+      record('生命周期', 'initialize响应包含protocolVersion、capabilities、serverInfo', 'MUST', MCP_SPEC_REFS.lifecycle, 'fail', `初始化失败: ${error.message}`);
+      throw new Error(`初始化失败，无法继续检查: ${error.message}`);
+    }
+
+    // 3. ping
+    reply = await exchange(client, { jsonrpc: '2.0', id: checkId(), method: 'ping' });
+    const pingOk = reply?.result && typeof reply.result === 'object' && Object.keys(reply.result).length === 0;
+    record('基础工具', 'ping返回空结果{}', 'MUST', MCP_SPEC_REFS.ping, pingOk ? 'pass' : 'fail', describeReply(reply));
+
+    // 4. JSON-RPC错误码
+    reply = await exchange(client, { jsonrpc: '2.0', id: checkId(), method: 'mcp-tester/unknown-method', params: {} });
+    record('JSON-RPC', '未知方法返回-32601', 'MUST', MCP_SPEC_REFS.jsonrpcErrors,
+      reply?.error?.code === -32601 ? 'pass' : 'fail', describeReply(reply));
+
+    reply = await exchange(client, { jsonrpc: '2.0', id: checkId(), method: 'tools/call', params: { arguments: 'not-an-object' } });
+    record('JSON-RPC', '无效参数返回-32602', 'SHOULD', MCP_SPEC_REFS.jsonrpcErrors,
+      reply?.error?.code === -32602 ? 'pass' : reply?.error ? 'warn' : 'fail', describeReply(reply));
+
+    if (initResult.capabilities?.tools) {
+      reply = await exchange(client, { jsonrpc: '2.0', id: checkId(), method: 'tools/call', params: { name: 'mcp-tester-nonexistent-tool', arguments: {} } });
+      record('JSON-RPC', '调用不存在的工具返回-32602', 'SHOULD', MCP_SPEC_REFS.toolErrors,
+        reply?.error?.code === -32602 ? 'pass' : 'warn', reply?.result?.isError ? '返回了isError结果而不是协议错误' : describeReply(reply));
+    } else {
+      record('JSON-RPC', '调用不存在的工具返回-32602', 'SHOULD', MCP_SPEC_REFS.toolErrors, 'skip', '服务器未声明tools能力');
+    }
+
+    // 5. 请求ID
+    const stringId = 'mcp-tester-string-id';
+    reply = await exchange(client, { jsonrpc: '2.0', id: stringId, method: 'ping' });
+    record('JSON-RPC', '字符串ID原样返回', 'MUST', MCP_SPEC_REFS.messages,
+      reply && reply.id === stringId ? 'pass' : 'fail', reply ? `响应ID ${JSON.stringify(reply.id)}` : describeReply(reply));
+
+    const numericId = 987654;
+    reply = await exchange(client, { jsonrpc: '2.0', id: numericId, method: 'ping' });
+    record('JSON-RPC', '数字ID原样返回', 'MUST', MCP_SPEC_REFS.messages,
+      reply && reply.id === numericId ? 'pass' : 'fail', reply ? `响应ID ${JSON.stringify(reply.id)}` : describeReply(reply));
+
+    // 同一ID的两个请求同时发出：规范禁止客户端这样做，服务器的处理方式未定义，但不应崩溃或挂起
+    const duplicateId = checkId();
+    const duplicateReplies = exchange(client, '', { match: (m) => m.id === duplicateId && !m.method, count: 2 });
+    for (let i = 0; i < 2; i++) {
+      client.writeRaw(JSON.stringify({ jsonrpc: '2.0', id: duplicateId, method: 'ping' })).catch(() => {});
+    }
+    const replies = await duplicateReplies;
+    const aliveAfterDuplicate = await isAlive(client);
+    record('JSON-RPC', '重复ID的请求不导致崩溃或挂起', 'SHOULD', MCP_SPEC_REFS.messages,
+      replies.length > 0 && aliveAfterDuplicate ? 'pass' : 'warn',
+      `收到${replies.length}个响应${aliveAfterDuplicate ? '，连接仍可用' : '，之后连接不可用'}`);
+
+    // 6. 通知
+    const unexpected = await exchange(client, { jsonrpc: '2.0', method: 'notifications/mcp-tester-unknown', params: {} },
+      { match: (m) => !m.method && (m.id === null || m.id === undefined), timeoutMs: Math.min(check_timeout_ms, 1000) });
+    record('JSON-RPC', '通知不产生响应', 'MUST', MCP_SPEC_REFS.jsonrpcNotification,
+      !unexpected ? 'pass' : 'fail', unexpected ? `收到响应: ${describeReply(unexpected)}` : '未收到响应');
+
+    const cancelUnknown = await exchange(client, { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'mcp-tester-no-such-request', reason: '一致性检查' } },
+      { match: (m) => !m.method && (m.id === null || m.id === 'mcp-tester-no-such-request'), timeoutMs: Math.min(check_timeout_ms, 1000) });
+    const aliveAfterCancel = await isAlive(client);
+    record('取消', '忽略未知请求的取消通知', 'SHOULD', MCP_SPEC_REFS.cancellation,
+      !cancelUnknown && aliveAfterCancel ? 'pass' : 'warn',
+      cancelUnknown ? `收到响应: ${describeReply(cancelUnknown)}` : aliveAfterCancel ? '已忽略，连接仍可用' : '之后连接不可用');
+
+    if (cancel_tool) {
+      const cancelId = checkId();
+      const cancelReply = exchange(client, { jsonrpc: '2.0', id: cancelId, method: 'tools/call', params: { name: cancel_tool, arguments: cancel_arguments } });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await client.writeMessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: cancelId, reason: '一致性检查' } }).catch(() => {});
+      reply = await cancelReply;
+      const aliveAfterInFlightCancel = await isAlive(client);
+      record('取消', '取消进行中的请求后不再响应', 'SHOULD', MCP_SPEC_REFS.cancellation,
+        !reply && aliveAfterInFlightCancel ? 'pass' : 'warn',
+        reply ? `仍然收到响应: ${describeReply(reply)}` : aliveAfterInFlightCancel ? '未响应，连接仍可用' : '之后连接不可用');
+    } else {
+      record('取消', '取消进行中的请求后不再响应', 'SHOULD', MCP_SPEC_REFS.cancellation, 'skip', '未指定cancel_tool');
+    }
+
+    // 7. 畸形JSON放在最后，部分服务器会因此退出
+    reply = await exchange(client, '{"jsonrpc": "2.0", "id": 1, "method": "ping"',
+      { match: (m) => !m.method && m.id === null && m.error !== undefined });
+    const aliveAfterMalformed = await isAlive(client);
+    record('JSON-RPC', '畸形JSON返回-32700', 'MUST', MCP_SPEC_REFS.jsonrpcErrors,
+      reply?.error?.code === -32700 ? 'pass' : 'fail',
+      `${reply ? describeReply(reply) : '未返回解析错误'}${aliveAfterMalformed ? '，连接仍可用' : '，之后连接不可用'}`);
+
+    // 8. 所有响应的格式
+    const malformedResponses = receivedResponses.filter(m =>
+      m.jsonrpc !== '2.0' || (m.result !== undefined) === (m.error !== undefined)
+      || (m.error !== undefined && (typeof m.error.code !== 'number' || typeof m.error.message !== 'string')));
+    record('JSON-RPC', '响应包含jsonrpc:"2.0"且result与error二选一', 'MUST', MCP_SPEC_REFS.jsonrpcResponse,
+      malformedResponses.length === 0 ? 'pass' : 'fail',
+      malformedResponses.length === 0 ? `检查了${receivedResponses.length}个响应` : `${malformedResponses.length}个响应格式错误，如 ${JSON.stringify(malformedResponses[0]).slice(0, 150)}`);
+
+    // 9. 版本协商：每个版本使用新连接
+    const bogusVersion = '1900-01-01';
+    for (const version of [...protocol_versions, bogusVersion]) {
+      const negotiationClient = await openConnection();
+      const isBogus = version === bogusVersion;
+      const name = isBogus ? `请求不支持的版本 ${version} 时回退到支持的版本` : `请求版本 ${version}`;
+      try {
+        const result = await negotiationClient.initialize({ protocolVersion: version });
+        const returned = result?.protocolVersion;
+        if (isBogus) {
+          record('版本协商', name, 'MUST', MCP_SPEC_REFS.versionNegotiation,
+            typeof returned === 'string' && returned !== version ? 'pass' : 'fail', `服务器返回 ${returned}`);
+        } else {
+          record('版本协商', name, 'MUST', MCP_SPEC_REFS.versionNegotiation,
+            typeof returned === 'string' ? 'pass' : 'fail',
+            returned === version ? '支持，返回相同版本' : `服务器改用 ${returned}`);
+        }
+      } catch (error) {
+        record('版本协商', name, 'MUST', MCP_SPEC_REFS.versionNegotiation, failStatus('MUST'),
+          `初始化失败: ${error.message}（服务器应返回一个它支持的版本，而不是报错）`);
+      }
+      negotiationClient.disconnect();
+    }
+  } catch (error) {
+    if (checks.length === 0) {
+      throw new Error(`协议一致性检查失败: ${error.message}${client ? formatDiagnostics(client) : ''}`);
+    }
+    record('执行', '检查中断', 'MUST', MCP_SPEC_REFS.lifecycle, 'fail', error.message);
+  } finally {
+    stopFns.forEach(stop => stop());
+    for (const c of clients) {
+      if (trace_file) await c.stopTrace();
+      c.disconnect();
+    }
+  }
+
+  const statusLabels = { pass: '✅ 通过', fail: '❌ 失败', warn: '⚠️ 警告', skip: '⏭️ 跳过' };
+  const counts = Object.fromEntries(Object.keys(statusLabels).map(status => [status, checks.filter(c => c.status === status).length]));
+
+  const report = `# 📐 协议一致性报告
+
+## 📊 概览
+- **目标服务器**: \`${targetLabel}\`
+- **检查项**: ${checks.length}
+- **通过**: ${counts.pass}
+- **失败（违反MUST）**: ${counts.fail}
+- **警告（违反SHOULD）**: ${counts.warn}
+- **跳过**: ${counts.skip}
+- **总执行时间**: ${Date.now() - startTime}ms
+- **结论**: ${counts.fail === 0 ? (counts.warn === 0 ? '✅ 完全符合' : '⚠️ 符合MUST要求，存在SHOULD警告') : '❌ 存在不符合规范的行为'}
+
+## 📋 检查矩阵
+
+| 类别 | 检查项 | 要求 | 结果 | 详情 | 规范 |
+|------|--------|------|------|------|------|
+${checks.map(c => `| ${c.category} | ${c.name} | ${c.level} | ${statusLabels[c.status]} | ${String(c.detail).replace(/[|\n]/g, ' ')} | [${c.spec.label}](${c.spec.url}) |`).join('\n')}${client ? formatDiagnostics(client) : ''}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// diff_servers中一侧服务器的连接参数
+const diffTargetSchema = z.object({
+  server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+  server_args: z.array(z.string()).default([]).describe("服务器启动参数"),
+  ...namedServerSchema,
+  ...remoteServerSchema,
+  ...sessionSchema
+});
+
+// 注册 diff_servers 工具
+server.registerTool("diff_servers", {
+  title: "Diff Servers",
+  description: "比较同一服务器两个版本（如已发布的构建和工作副本）的tools/list、resources/list、resources/templates/list和prompts/list，把差异分为破坏性变更（移除工具、新增必需参数、类型或枚举收窄等）、向后兼容的新增（新增工具、可选参数等）和说明变化，给出major/minor/patch的语义化版本判定",
+  inputSchema: {
+    base: diffTargetSchema.describe("基准版本的服务器，如已发布的构建"),
+    head: diffTargetSchema.describe("新版本的服务器，如工作副本"),
+    ...clientSchema,
+    fail_on: z.enum(['major', 'minor', 'patch', 'never']).default('major').describe("变更达到该级别时判定为不通过（命令行模式退出码为1），never为始终通过")
+  }
+}, async ({ base, head, fail_on = 'major', ...clientArgs }) => {
+  const clientOptions = createClientOptions(clientArgs);
+  const surfaces = {};
+  for (const [side, target, label] of [['base', base, '基准'], ['head', head, '新版本']]) {
+    try {
+      surfaces[side] = await collectServerSurface(target, clientOptions);
+    } catch (error) {
+      throw new Error(`获取${label}服务器的接口失败: ${error.message}${error.client ? formatDiagnostics(error.client) : ''}`);
+    }
+  }
+
+  const changes = diffServerSurfaces(surfaces.base, surfaces.head);
+  const level = changes.reduce((max, change) => SEMVER_LEVELS.indexOf(change.level) > SEMVER_LEVELS.indexOf(max) ? change.level : max, 'none');
+  const passed = fail_on === 'never' || SEMVER_LEVELS.indexOf(level) < SEMVER_LEVELS.indexOf(fail_on);
+
+  // 服务器自报的版本号：给出建议版本，并检查新版本的版本号是否提升得足够
+  const baseVersion = surfaces.base.serverInfo.version;
+  const headVersion = surfaces.head.serverInfo.version;
+  const suggestedVersion = bumpVersion(baseVersion, level);
+  const actualBump = compareVersions(baseVersion, headVersion);
+  const versionCheck = actualBump === null
+    ? '无法解析版本号，跳过检查'
+    : SEMVER_LEVELS.indexOf(actualBump) < SEMVER_LEVELS.indexOf(level)
+      ? `⚠️ 版本号 ${baseVersion} → ${headVersion} ${actualBump === 'none' ? '没有提升' : `只提升了 ${actualBump} 级`}，但检测到 ${level} 级变更`
+      : `✅ ${baseVersion} → ${headVersion}`;
+
+  const levelLabels = {
+    major: '💥 major（存在破坏性变更）',
+    minor: '✨ minor（只有向后兼容的新增）',
+    patch: '📝 patch（只有说明文字变化）',
+    none: '✅ 无变化'
+  };
+  const sections = [
+    ['major', '## 💥 破坏性变更 (major)'],
+    ['minor', '## ✨ 向后兼容的变更 (minor)'],
+    ['patch', '## 📝 说明变化 (patch)']
+  ].map(([sectionLevel, heading]) => {
+    const items = changes.filter(change => change.level === sectionLevel);
+    return items.length > 0
+      ? `${heading}\n${items.map(change => `- **${change.subject}**${change.path ? ` \`${change.path}\`` : ''}: ${change.message}`).join('\n')}`
+      : null;
+  }).filter(Boolean);
+  const countChange = (key) => `${surfaces.base[key].length} → ${surfaces.head[key].length}`;
+  const describeServer = (surface) => `\`${surface.label}\`${surface.serverInfo.name ? `（${surface.serverInfo.name} ${surface.serverInfo.version || ''}）` : ''}`;
+
+  const report = `# 🔀 服务器接口差异报告
+
+## 📊 概览
+- **基准服务器**: ${describeServer(surfaces.base)}
+- **新版本服务器**: ${describeServer(surfaces.head)}
+- **工具**: ${countChange('tools')}
+- **资源**: ${countChange('resources')}
+- **资源模板**: ${countChange('resourceTemplates')}
+- **提示**: ${countChange('prompts')}
+- **变更数**: major ${changes.filter(c => c.level === 'major').length}，minor ${changes.filter(c => c.level === 'minor').length}，patch ${changes.filter(c => c.level === 'patch').length}
+- **判定**: ${levelLabels[level]}
+${suggestedVersion ? `- **建议版本**: ${baseVersion} → ${suggestedVersion}\n` : ''}- **版本号检查**: ${versionCheck}
+- **结论**: ${passed ? '✅ 通过' : `❌ 变更级别达到 ${fail_on}`}
+- **测试时间**: ${new Date().toISOString()}
+
+${sections.length > 0 ? sections.join('\n\n') : '两个版本的接口完全相同'}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+    _meta: { passed, level }
+  };
+});
+
+// 注册 open_session 工具
+server.registerTool("open_session", {
+  title: "Open Session",
+  description: "启动并初始化目标MCP服务器，保持连接作为命名会话。其他工具通过session_id复用该连接，有状态服务器的数据在多次调用之间保留",
+  inputSchema: {
+    session_id: z.string().min(1).describe("会话ID（名称），后续工具调用通过它复用连接"),
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    server_args: z.array(z.string()).default([]).describe("服务器启动参数"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...diagnosticsSchema,
+    ...clientSchema
+  }
+}, async ({ session_id, server_command, server_args = [], server_name, server_config, server_url, server_headers, server_transport, stream_stderr = false, trace_file, ...clientArgs }, extra) => {
+  if (sessions.has(session_id)) {
+    throw new Error(`会话 ${session_id} 已存在，请使用其他ID或先调用close_session`);
+  }
+
+  const spec = {
+    target: { server_name, server_config, server_command, server_url, server_headers, server_transport },
+    server_args,
+    clientOptions: createClientOptions(clientArgs),
+    trace_file
+  };
+  let stopStreaming = () => {};
+  const startTime = Date.now();
+  let connected;
+
+  try {
+    connected = await connectSession(spec, (client) => {
+      if (stream_stderr) stopStreaming = streamStderr(client, extra);
+    });
+  } catch (error) {
+    throw new Error(`打开会话失败: ${error.message}${error.client ? formatDiagnostics(error.client) : ''}`);
+  } finally {
+    stopStreaming();
+  }
+
+  const { client, target, initResult, tools } = connected;
+  const now = new Date();
+  sessions.set(session_id, {
+    id: session_id,
+    client,
+    target,
+    initResult,
+    spec,
+    createdAt: now,
+    startedAt: now,
+    restarts: 0,
+    lastUsedAt: now,
+    useCount: 0
+  });
+
+  const report = `# 🔗 会话已打开
+
+- **会话ID**: ${session_id}
+- **目标服务器**: \`${target}\`
+- **服务器名称**: ${initResult.serverInfo?.name || '未知'}
+- **服务器版本**: ${initResult.serverInfo?.version || '未知'}
+- **协议版本**: ${initResult.protocolVersion || '未知'}
+- **工具数量**: ${tools.length}
+- **连接耗时**: ${Date.now() - startTime}ms
+
+在 test_mcp_server、call_mcp_tool、batch_test_tools、validate_mcp_tools、test_performance 中传入 \`session_id: "${session_id}"\` 即可复用该连接。${trace_file ? '\n\n协议记录会持续到 close_session 关闭会话为止。' : ''}${formatDiagnostics(client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 list_sessions 工具
+server.registerTool("list_sessions", {
+  title: "List Sessions",
+  description: "列出所有已打开的会话及其连接状态",
+  inputSchema: {}
+}, async () => {
+  const now = Date.now();
+  const report = sessions.size === 0
+    ? '📝 当前没有打开的会话\n\n请使用 open_session 工具打开会话。'
+    : `# 📋 会话列表 (共${sessions.size}个)
+
+| 会话ID | 目标服务器 | 状态 | 服务器 | 打开时长 | 调用次数 | 最后使用 |
+|--------|------------|------|--------|----------|----------|----------|
+${[...sessions.values()].map(session => 
+  `| ${session.id} | \`${session.target}\` | ${session.client.isConnected() ? '✅ 已连接' : '❌ 已断开'} | ${session.initResult.serverInfo?.name || '未知'} ${session.initResult.serverInfo?.version || ''} | ${Math.round((now - session.createdAt.getTime()) / 1000)}秒 | ${session.useCount} | ${session.lastUsedAt.toISOString()} |`
+).join('\n')}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 close_session 工具
+server.registerTool("close_session", {
+  title: "Close Session",
+  description: "关闭指定会话并停止对应的目标服务器",
+  inputSchema: {
+    session_id: z.string().describe("要关闭的会话ID")
+  }
+}, async ({ session_id }) => {
+  const session = sessions.get(session_id);
+  if (!session) {
+    throw new Error(`未找到会话: ${session_id}`);
+  }
+
+  await closeSession(session);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `✅ 会话 ${session_id} 已关闭\n\n- **目标服务器**: \`${session.target}\`\n- **调用次数**: ${session.useCount}\n- **存活时长**: ${Math.round((Date.now() - session.createdAt.getTime()) / 1000)}秒`,
+      },
+    ],
+  };
+});
+
+// 注册 start_server 工具
+server.registerTool("start_server", {
+  title: "Start Server",
+  description: "在后台启动并初始化一个命名的目标MCP服务器，跨多次工具调用保持运行，可用restart_server重启、stop_server停止、server_status查看状态。其他测试工具通过 session_id: 名称 使用它。可选监视源文件，变化后自动重启",
+  inputSchema: {
+    name: z.string().min(1).describe("服务器名称，同时作为会话ID供其他工具的session_id使用"),
+    server_command: z.string().optional().describe("MCP服务器启动命令，格式同call_mcp_tool"),
+    server_args: z.array(z.string()).default([]).describe("服务器启动参数"),
+    ...namedServerSchema,
+    ...remoteServerSchema,
+    ...diagnosticsSchema,
+    ...clientSchema,
+    watch: z.boolean().default(false).describe("是否监视源文件，变化后自动重启（仅本地服务器）"),
+    watch_paths: z.array(z.string()).default([]).describe("监视的文件或目录，默认为服务器脚本所在目录（server_name为配置中的cwd）；node_modules和.git中的变化会被忽略"),
+    watch_debounce_ms: z.number().int().min(0).default(300).describe("文件变化停止多久后才重启(毫秒)，避免保存多个文件时反复重启")
+  }
+}, async ({ name, server_command, server_args = [], server_name, server_config, server_url, server_headers, server_transport, stream_stderr = false, trace_file, watch = false, watch_paths = [], watch_debounce_ms = 300, ...clientArgs }, extra) => {
+  if (sessions.has(name)) {
+    throw new Error(`服务器 ${name} 已在运行，请使用其他名称，或调用restart_server重启`);
+  }
+  if (watch && server_url) {
+    throw new Error("远程服务器不支持文件监视");
+  }
+
+  const spec = {
+    target: { server_name, server_config, server_command, server_url, server_headers, server_transport },
+    server_args,
+    clientOptions: createClientOptions(clientArgs),
+    trace_file
+  };
+  let stopStreaming = () => {};
+  const startTime = Date.now();
+  let connected;
+
+  try {
+    connected = await connectSession(spec, (client) => {
+      if (stream_stderr) stopStreaming = streamStderr(client, extra);
+    });
+  } catch (error) {
+    throw new Error(`启动服务器失败: ${error.message}${error.client ? formatDiagnostics(error.client) : ''}`);
+  } finally {
+    stopStreaming();
+  }
+
+  const now = new Date();
+  const session = {
+    id: name,
+    client: connected.client,
+    target: connected.target,
+    initResult: connected.initResult,
+    spec,
+    managed: true,
+    createdAt: now,
+    startedAt: now,
+    restarts: 0,
+    lastUsedAt: now,
+    useCount: 0
+  };
+  sessions.set(name, session);
+
+  if (watch) {
+    try {
+      let paths = watch_paths;
+      if (paths.length === 0) {
+        // 配置文件中的服务器监视其cwd，命令行启动的监视脚本所在目录；npx等命令没有本地脚本
+        const scriptPath = server_name ? null : parseServerCommand(server_command).scriptPath;
+        const defaultPath = server_name ? (await resolveNamedServer(server_name, server_config)).cwd : scriptPath && path.dirname(path.resolve(scriptPath));
+        if (!defaultPath) {
+          throw new Error("无法确定服务器源文件所在目录，请通过watch_paths指定");
+        }
+        paths = [defaultPath];
+      }
+      watchSessionFiles(session, paths, watch_debounce_ms);
+    } catch (error) {
+      await closeSession(session);
+      throw new Error(`无法监视文件: ${error.message}`);
+    }
+  }
+
+  const report = `# 🚀 服务器已启动: ${name}
+
+- **目标服务器**: \`${session.target}\`
+- **进程PID**: ${session.client.getDiagnostics().pid ?? '无（远程服务器）'}
+- **服务器名称**: ${session.initResult.serverInfo?.name || '未知'}
+- **服务器版本**: ${session.initResult.serverInfo?.version || '未知'}
+- **工具数量**: ${connected.tools.length}
+- **启动耗时**: ${Date.now() - startTime}ms
+- **文件监视**: ${session.watch ? session.watch.paths.map(p => `\`${p}\``).join('、') : '未开启'}
+
+其他测试工具中传入 \`session_id: "${name}"\` 即可使用该服务器；用 server_status 查看状态，stop_server 停止。${formatDiagnostics(session.client)}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+// 注册 restart_server 工具
+server.registerTool("restart_server", {
+  title: "Restart Server",
+  description: "按原启动参数重启已启动的目标服务器或会话，名称（会话ID）不变；远程服务器为重新连接",
+  inputSchema: {
+    name: z.string().describe("服务器名称（会话ID）")
+  }
+}, async ({ name }) => {
+  const session = sessions.get(name);
+  if (!session) {
+    throw new Error(`未找到服务器: ${name}`);
+  }
+
+  const startTime = Date.now();
+  let connected;
+  try {
+    connected = await restartSession(session, '手动重启');
+  } catch (error) {
+    throw new Error(`重启失败: ${error.message}${formatDiagnostics(session.client)}`);
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `🔄 服务器 ${name} 已重启\n\n- **目标服务器**: \`${session.target}\`\n- **进程PID**: ${session.client.getDiagnostics().pid ?? '无（远程服务器）'}\n- **重启次数**: ${session.restarts}\n- **工具数量**: ${connected.tools.length}\n- **重启耗时**: ${Date.now() - startTime}ms`,
+      },
+    ],
+  };
+});
+
+// 注册 stop_server 工具
+server.registerTool("stop_server", {
+  title: "Stop Server",
+  description: "停止已启动的目标服务器（同close_session），同时停止文件监视",
+  inputSchema: {
+    name: z.string().describe("服务器名称（会话ID）")
+  }
+}, async ({ name }) => {
+  const session = sessions.get(name);
+  if (!session) {
+    throw new Error(`未找到服务器: ${name}`);
+  }
+
+  const { stderr } = session.client.getDiagnostics();
+  await closeSession(session);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `⏹️ 服务器 ${name} 已停止\n\n- **目标服务器**: \`${session.target}\`\n- **调用次数**: ${session.useCount}\n- **重启次数**: ${session.restarts}\n- **运行时长**: ${formatDuration(Date.now() - session.createdAt.getTime())}${stderr.length > 0 ? `\n\n### stderr输出（最近${Math.min(stderr.length, 10)}行）\n\`\`\`\n${stderr.slice(-10).join('\n')}\n\`\`\`` : ''}`,
+      },
+    ],
+  };
+});
+
+// 注册 server_status 工具
+server.registerTool("server_status", {
+  title: "Server Status",
+  description: "查看已启动的目标服务器（及open_session会话）的状态：PID、运行时长、重启次数、最近一次重启的原因和结果、文件监视和stderr最近N行",
+  inputSchema: {
+    name: z.string().optional().describe("服务器名称（会话ID），不指定时显示全部"),
+    stderr_lines: z.number().int().min(0).default(20).describe("显示的stderr行数")
+  }
+}, async ({ name, stderr_lines = 20 }) => {
+  const targets = name ? [sessions.get(name)] : [...sessions.values()];
+  if (name && !targets[0]) {
+    throw new Error(`未找到服务器: ${name}`);
+  }
+  if (targets.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: '📝 当前没有运行中的服务器\n\n请使用 start_server 工具启动服务器。',
+        },
+      ],
+    };
+  }
+
+  const now = Date.now();
+  const report = targets.map(session => {
+    const { pid, exit, stderr } = session.client.getDiagnostics();
+    const connected = session.client.isConnected();
+    let section = `# ${connected ? '🟢' : '🔴'} ${session.id}
+
+- **目标服务器**: \`${session.target}\`
+- **状态**: ${session.restarting ? '🔄 正在重启' : connected ? '✅ 运行中' : '❌ 已停止'}${exit && !exit.expected ? `（退出码: ${exit.code ?? '无'}，信号: ${exit.signal ?? '无'}，${exit.beforeInitialize ? '启动失败' : '运行中崩溃'}）` : ''}
+- **类型**: ${session.managed ? 'start_server' : 'open_session'}
+- **进程PID**: ${pid ?? '-'}
+- **运行时长**: ${connected ? formatDuration(now - session.startedAt.getTime()) : '-'}（首次启动于 ${session.createdAt.toISOString()}）
+- **重启次数**: ${session.restarts}
+- **调用次数**: ${session.useCount}`;
+    if (session.lastRestart) {
+      section += `\n- **最近重启**: ${session.lastRestart.time.toISOString()}，${session.lastRestart.reason}，${session.lastRestart.error ? `❌ ${session.lastRestart.error}` : '✅ 成功'}`;
+    }
+    if (session.watch) {
+      section += `\n- **文件监视**: ${session.watch.paths.map(p => `\`${p}\``).join('、')}（检测到${session.watch.changes}次变化${session.watch.lastChange ? `，最近: ${session.watch.lastChange.file || '未知文件'} @ ${session.watch.lastChange.time.toISOString()}` : ''}）`;
+    }
+    if (stderr_lines > 0 && stderr.length > 0) {
+      const tail = stderr.slice(-stderr_lines);
+      section += `\n\n### stderr输出（最近${tail.length}行）\n\`\`\`\n${tail.join('\n')}\n\`\`\``;
+    }
+    return section;
+  }).join('\n\n---\n\n');
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: report,
+      },
+    ],
+  };
+});
+
+/**
+ * 读取mcpServers格式的配置文件。条目只在使用时校验，其他客户端专用的条目不影响使用
+ * @param {string} filePath - 配置文件路径
+ * @returns {Promise<object>} 服务器名称 -> 配置条目
+ */
+async function loadServerConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`无法读取服务器配置文件: ${filePath} (${error.message})`);
+  }
+  if (!config || typeof config.mcpServers !== 'object' || config.mcpServers === null || Array.isArray(config.mcpServers)) {
+    throw new Error(`服务器配置文件 ${filePath} 缺少mcpServers对象`);
+  }
+  return config.mcpServers;
+}
+
+/**
+ * 校验mcpServers中的单个条目
+ * @param {string} name - 服务器名称
+ * @param {object} entry - 配置条目
+ */
+function validateServerEntry(name, entry) {
+  const where = `服务器配置 ${name}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${where} 必须是对象`);
+  }
+  if (typeof entry.command !== 'string' && typeof entry.url !== 'string') {
+    throw new Error(`${where} 必须包含command或url`);
+  }
+  if (entry.args !== undefined && (!Array.isArray(entry.args) || entry.args.some(arg => typeof arg !== 'string'))) {
+    throw new Error(`${where} 的args必须是字符串数组`);
+  }
+  for (const field of ['env', 'headers']) {
+    if (entry[field] !== undefined && (typeof entry[field] !== 'object' || entry[field] === null || Object.values(entry[field]).some(value => typeof value !== 'string'))) {
+      throw new Error(`${where} 的${field}必须是值为字符串的对象`);
+    }
+  }
+  if (entry.cwd !== undefined && typeof entry.cwd !== 'string') {
+    throw new Error(`${where} 的cwd必须是字符串`);
+  }
+}
+
+/**
+ * 加载测试套件文件，根据扩展名按JSON或YAML解析
+ * @param {string} filePath - 套件文件路径
+ * @returns {Promise<object>} 套件对象，cases保证为数组
+ */
+async function loadTestSuite(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(path.resolve(filePath), 'utf-8');
+  } catch (error) {
+    throw new Error(`无法读取测试套件文件: ${filePath} (${error.message})`);
+  }
+
+  let suite;
+  try {
+    suite = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`测试套件文件解析失败: ${error.message}`);
+  }
+
+  if (!suite || !Array.isArray(suite.cases) || suite.cases.length === 0) {
+    throw new Error('测试套件文件必须包含非空的cases数组');
+  }
+  const caseIds = new Set();
+  for (const [index, testCase] of suite.cases.entries()) {
+    if (!testCase.tool && !testCase.tool_name) {
+      throw new Error(`第${index + 1}个用例缺少tool字段`);
+    }
+    if (testCase.id !== undefined) {
+      if (caseIds.has(testCase.id)) {
+        throw new Error(`用例id重复: ${testCase.id}`);
+      }
+      caseIds.add(testCase.id);
+    }
+    if (testCase.expect !== undefined) {
+      validateExpect(testCase.expect, `第${index + 1}个用例`);
+    }
+  }
+
+  return suite;
+}
+
+/**
+ * 校验用例的expect，拼错的键或类型错误的值会让断言被跳过、用例误判为通过，因此直接报错
+ * 含 {{变量}} 引用的字符串在执行时才解析，这里不检查其类型
+ * @param {object} expect - 用例的expect
+ * @param {string} where - 错误信息中的用例位置
+ */
+function validateExpect(expect, where) {
+  if (!expect || typeof expect !== 'object' || Array.isArray(expect)) {
+    throw new Error(`${where}的expect必须是对象`);
+  }
+
+  const isTemplate = (value) => typeof value === 'string' && value.includes('{{');
+  const isRegex = (value) => {
+    if (typeof value !== 'string') return false;
+    try {
+      new RegExp(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  const isCount = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+  const checks = {
+    equals: () => true,
+    subset: () => true,
+    jsonpath: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    text_matches: isRegex,
+    error_matches: isRegex,
+    isError: (value) => typeof value === 'boolean',
+    max_latency_ms: (value) => typeof value === 'number' && value >= 0,
+    progress: (value) => value === true || (value !== null && typeof value === 'object' && !Array.isArray(value)
+      && isCount(value.min_count)
+      && ['monotonic', 'reaches_total'].every(key => value[key] === undefined || typeof value[key] === 'boolean')),
+    notifications: (value) => Array.isArray(value) && value.every(rule => rule && typeof rule.method === 'string'
+      && (rule.match === undefined || isRegex(rule.match))
+      && isCount(rule.min_count))
+  };
+  const expectedTypes = {
+    jsonpath: 'JSONPath到期望值的对象',
+    text_matches: '有效的正则表达式字符串',
+    error_matches: '有效的正则表达式字符串',
+    isError: '布尔值',
+    max_latency_ms: '非负数',
+    progress: 'true或 {min_count, monotonic, reaches_total}',
+    notifications: '[{method, match, min_count}] 数组'
+  };
+
+  for (const [key, value] of Object.entries(expect)) {
+    if (!checks[key]) {
+      throw new Error(`${where}的expect包含未知的断言: ${key}。支持的断言: ${Object.keys(checks).join(', ')}`);
+    }
+    if (!isTemplate(value) && !checks[key](value)) {
+      throw new Error(`${where}的expect.${key}必须是${expectedTypes[key]}，实际为 ${formatDiffValue(value)}`);
+    }
+  }
+}
+
+/**
+ * 读取协议记录文件（JSONL），每行一帧
+ * @param {string} filePath - 记录文件路径
+ * @returns {Promise<object>} {frames, invalidLines}
+ */
+async function loadTraceFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(path.resolve(filePath), 'utf-8');
+  } catch (error) {
+    throw new Error(`无法读取协议记录文件: ${filePath} (${error.message})`);
+  }
+
+  const frames = [];
+  let invalidLines = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      frames.push(JSON.parse(line));
+    } catch (e) {
+      invalidLines++;
+    }
+  }
+  return { frames, invalidLines };
+}
+
+/**
+ * 把记录帧整理为回放步骤：发出的请求和通知按顺序排列，请求附带记录中的响应
+ * 每个initialize请求开始一次新连接，请求id只在同一次连接内配对
+ * @param {Array} frames - loadTraceFile读取的帧
+ * @returns {object} {steps, skipped}，skipped为无法回放的帧数（如客户端对服务器请求的响应）
+ */
+function buildReplaySteps(frames) {
+  const steps = [];
+  let pendingById = new Map();
+  let skipped = 0;
+
+  for (const frame of frames) {
+    if (!frame.message) {
+      // 原始文本帧（如协议一致性检查发出的畸形JSON）不回放
+      if (frame.direction === 'out') skipped++;
+      continue;
+    }
+    const messages = Array.isArray(frame.message) ? frame.message : [frame.message];
+
+    for (const message of messages) {
+      if (!message || typeof message !== 'object') continue;
+
+      if (frame.direction === 'out') {
+        if (!message.method) {
+          skipped++;
+          continue;
+        }
+        if (message.method === 'initialize') {
+          pendingById = new Map();
+        }
+        const step = { method: message.method, params: message.params, notification: message.id === undefined };
+        steps.push(step);
+        if (!step.notification) {
+          pendingById.set(message.id, step);
+        }
+      } else if (frame.direction === 'in' && !message.method && message.id !== undefined) {
+        const step = pendingById.get(message.id);
+        if (step) {
+          step.expected = message.error
+            ? { error: { code: message.error.code, message: message.error.message } }
+            : { result: message.result };
+          pendingById.delete(message.id);
+        }
+      }
+    }
+  }
+
+  return { steps, skipped };
+}
+
+// 差异路径是否被ignore_paths中的某一项忽略（含其子路径，如 $.result 忽略 $.result.a 和 $.result[0]）
+function isIgnoredDiffPath(diffPath, ignorePaths) {
+  return ignorePaths.some(p => diffPath === p || diffPath.startsWith(`${p}.`) || diffPath.startsWith(`${p}[`));
+}
+
+/**
+ * 发送一段原始文本并收集匹配的消息，用于协议一致性检查
+ * @param {MCPClient} client - 客户端实例
+ * @param {string} text - 要发送的原始文本，为空时只等待消息
+ * @param {function} match - 判断收到的消息是否属于本次交换
+ * @param {object} options - {timeoutMs, count}，收到count条匹配消息或超时后返回
+ * @returns {Promise<Array>} 匹配的消息列表
+ */
+function exchangeRaw(client, text, match, { timeoutMs = 3000, count = 1 } = {}) {
+  return new Promise((resolve) => {
+    const received = [];
+    let timer = null;
+    const finish = () => {
+      clearTimeout(timer);
+      client.off('message', onMessage);
+      resolve(received);
+    };
+    const onMessage = (message) => {
+      if (match(message)) {
+        received.push(message);
+        if (received.length >= count) finish();
+      }
+    };
+    timer = setTimeout(finish, timeoutMs);
+    client.on('message', onMessage);
+    if (text) {
+      client.writeRaw(text).catch(() => {});
+    }
+  });
+}
+
+/**
+ * 根据应答规则和roots推断initialize时声明的客户端能力
+ * @param {object} options - MCPClient的构造参数
+ */
+function deriveClientCapabilities({ serverRequests = [], roots } = {}) {
+  const capabilities = {};
+  const methods = new Set(serverRequests.map(rule => rule.method));
+  if (methods.has('sampling/createMessage')) capabilities.sampling = {};
+  if (methods.has('elicitation/create')) capabilities.elicitation = {};
+  if (roots || methods.has('roots/list')) capabilities.roots = { listChanged: false };
+  return capabilities;
+}
+
+/**
+ * 收集目标服务器发来的通知（进度、日志、list_changed等），直到调用stop
+ * @param {MCPClient} client - 客户端实例
+ * @returns {object} {events, stop}，events按到达顺序排列，elapsed_ms为相对开始收集的时间
+ */
+function watchNotifications(client) {
+  const startedAt = Date.now();
+  const events = [];
+  const onNotification = (message) => {
+    events.push({ elapsed_ms: Date.now() - startedAt, method: message.method, params: message.params || {} });
+  };
+  client.on('notification', onNotification);
+  return { events, stop: () => client.off('notification', onNotification) };
+}
+
+/**
+ * 带progressToken调用工具，并收集调用期间的通知
+ * 进度通知只保留本次调用token的，其他通知（日志、list_changed等）按时间归属
+ * @param {object} options - {timeoutMs}，覆盖客户端的默认超时
+ * @returns {Promise<object>} {response, error, execution_time, notifications}，调用失败时error为异常对象
+ */
+async function callToolWithNotifications(client, name, args, { timeoutMs } = {}) {
+  const progressToken = client.createProgressToken();
+  const watcher = watchNotifications(client);
+  const startTime = Date.now();
+  const outcome = {};
+  try {
+    outcome.response = await client.callTool(name, args, { progressToken, timeoutMs });
+  } catch (error) {
+    outcome.error = error;
+  } finally {
+    watcher.stop();
+  }
+  outcome.execution_time = Date.now() - startTime;
+  outcome.notifications = watcher.events.filter(event =>
+    event.method !== 'notifications/progress' || event.params.progressToken === progressToken);
+  return outcome;
+}
+
+/**
+ * 取消测试：调用工具，cancelAfterMs后取消，再等待waitMs观察迟到响应和进度通知，最后确认连接仍可用
+ * @param {object} options - {cancelAfterMs, waitMs, timeoutMs}
+ * @returns {Promise<object>} 与callToolWithNotifications相同的字段，另有cancelled、cancelledAtMs、lateResponse、progressAfterCancel、alive
+ */
+async function runCancellationTest(client, name, args, { cancelAfterMs, waitMs, timeoutMs }) {
+  const progressToken = client.createProgressToken();
+  const watcher = watchNotifications(client);
+  const controller = new AbortController();
+  const outcome = { cancelAfterMs, waitMs, cancelled: false, lateResponse: null };
+  const onLateResponse = (entry) => {
+    outcome.lateResponse = outcome.lateResponse || entry;
+  };
+  client.on('lateResponse', onLateResponse);
+
+  const startTime = Date.now();
+  const timer = setTimeout(() => {
+    outcome.cancelledAtMs = Date.now() - startTime;
+    controller.abort('mcp-tester取消测试');
+  }, cancelAfterMs);
+
+  try {
+    outcome.response = await client.callTool(name, args, { progressToken, timeoutMs, signal: controller.signal });
+  } catch (error) {
+    if (error.cancelled) {
+      outcome.cancelled = true;
+    } else {
+      outcome.error = error;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+  outcome.execution_time = Date.now() - startTime;
+
+  if (outcome.cancelled) {
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    try {
+      await client.sendRequest('ping', {}, { timeoutMs: Math.max(waitMs, 1000) });
+      outcome.alive = true;
+    } catch (error) {
+      // 不支持ping的服务器返回错误也说明连接可用
+      outcome.alive = typeof error.code === 'number';
+    }
+  }
+  watcher.stop();
+  client.off('lateResponse', onLateResponse);
+
+  outcome.notifications = watcher.events.filter(event =>
+    event.method !== 'notifications/progress' || event.params.progressToken === progressToken);
+  // 取消通知发出后，服务器可能已有消息在途，留出50ms余量
+  outcome.progressAfterCancel = outcome.cancelled
+    ? outcome.notifications.filter(e => e.method === 'notifications/progress' && e.elapsed_ms > outcome.cancelledAtMs + 50).length
+    : 0;
+  return outcome;
+}
+
+// 生成取消测试的报告段落
+function formatCancellation(c) {
+  let section = `### ⏹️ 取消测试\n`;
+  section += `- **取消时机**: 调用开始后 ${c.cancelAfterMs}ms\n`;
+  if (!c.cancelled) {
+    section += c.error
+      ? `- **结果**: ❌ 取消之前请求已失败: ${c.error.message}\n\n`
+      : `- **结果**: ⚠️ 请求在取消之前已完成（耗时${c.execution_time}ms），无法验证取消行为，请减小cancel_after_ms或使用耗时更长的参数\n\n`;
+    return section;
+  }
+  section += `- **结果**: 已发送 notifications/cancelled，随后等待${c.waitMs}ms\n`;
+  section += `- **迟到响应**: ${c.lateResponse ? `❌ 取消后${c.lateResponse.afterCancelMs}ms仍收到响应` : '✅ 未收到'}\n`;
+  section += `- **取消后的进度通知**: ${c.progressAfterCancel > 0 ? `⚠️ ${c.progressAfterCancel}条，服务器可能仍在继续处理` : '✅ 无'}\n`;
+  section += `- **服务器状态**: ${c.alive ? '✅ 仍可响应请求' : '❌ 取消后不再响应'}\n`;
+  section += `- **结论**: ${!c.lateResponse && c.progressAfterCancel === 0 && c.alive ? '✅ 服务器正确处理了取消' : '❌ 服务器没有正确处理取消'}`;
+  return section;
+}
+
+// 设置服务器日志级别，失败时返回错误信息而不是抛出（服务器可能未声明logging能力）
+async function trySetLoggingLevel(client, level) {
+  try {
+    await client.setLoggingLevel(level);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * 检查进度通知：progress必须逐次递增，声明了total时最后一次应达到total
+ * @param {Array} events - 通知列表
+ * @returns {object|null} {count, monotonic, reachesTotal, last}，没有进度通知时返回null；未声明total时reachesTotal为null
+ */
+function checkProgress(events = []) {
+  const progress = events.filter(e => e.method === 'notifications/progress').map(e => e.params);
+  if (progress.length === 0) return null;
+  const last = progress[progress.length - 1];
+  return {
+    count: progress.length,
+    monotonic: progress.every((p, i) => i === 0 || p.progress > progress[i - 1].progress),
+    reachesTotal: last.total === undefined ? null : last.progress === last.total,
+    last
+  };
+}
+
+// 通知的单行描述，用于时间线
+function describeNotification(event) {
+  const { method, params } = event;
+  if (method === 'notifications/progress') {
+    return `📈 进度 ${params.progress}${params.total !== undefined ? `/${params.total}` : ''}${params.message ? ` ${params.message}` : ''}`;
+  }
+  if (method === 'notifications/message') {
+    const data = typeof params.data === 'string' ? params.data : JSON.stringify(params.data);
+    return `📝 日志 [${params.level}]${params.logger ? ` ${params.logger}:` : ''} ${data}`;
+  }
+  if (method.endsWith('/list_changed')) {
+    return `🔄 ${method.replace('notifications/', '')}`;
+  }
+  return `🔔 ${method} ${JSON.stringify(params)}`;
+}
+
+/**
+ * 生成通知时间线和进度检查的报告段落，没有通知时返回空字符串
+ * @param {Array} events - 通知列表
+ * @param {string} heading - 段落标题级别
+ */
+function formatNotifications(events = [], heading = '###') {
+  if (events.length === 0) return '';
+  let section = `\n\n${heading} 🔔 通知时间线（${events.length}条）\n\n| 时间 | 通知 |\n|------|------|\n`;
+  section += events.map(e => `| +${e.elapsed_ms}ms | ${describeNotification(e).slice(0, 200).replace(/[|\n]/g, ' ')} |`).join('\n');
+
+  const progress = checkProgress(events);
+  if (progress) {
+    section += `\n\n**进度检查**: ${progress.count}条进度通知`;
+    section += `\n- ${progress.monotonic ? '✅ progress逐次递增' : '❌ progress没有逐次递增'}`;
+    if (progress.reachesTotal !== null) {
+      section += `\n- ${progress.reachesTotal ? '✅' : '⚠️'} 最终进度 ${progress.last.progress}/${progress.last.total}`;
+    }
+  }
+  return section;
+}
+
+// 提取响应中的文本内容
+function extractTextContent(response) {
+  return (response?.content || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+}
+
+// 提取用于断言比较的值：优先structuredContent，其次是可解析为JSON的文本内容，否则为文本本身
+function extractResponseValue(response) {
+  if (response?.structuredContent !== undefined) {
+    return response.structuredContent;
+  }
+  const text = extractTextContent(response);
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * 按用例的capture声明从调用结果中提取变量
+ * @param {object} capture - {变量名: JSONPath | {jsonpath} | {regex, group?}}，JSONPath作用于extractResponseValue的结果，regex作用于文本内容
+ * @param {object} outcome - callToolWithNotifications的结果 {response, error}
+ * @returns {object} {values, errors}
+ */
+function captureVariables(capture, outcome) {
+  const values = {};
+  const errors = [];
+  if (outcome.error) {
+    errors.push(`调用失败，无法捕获 ${Object.keys(capture).join(', ')}`);
+    return { values, errors };
+  }
+
+  for (const [name, spec] of Object.entries(capture)) {
+    const rule = typeof spec === 'string' ? { jsonpath: spec } : spec || {};
+    try {
+      let value;
+      if (rule.regex !== undefined) {
+        // 默认取第一个捕获组，没有捕获组时取整个匹配
+        const match = new RegExp(rule.regex).exec(extractTextContent(outcome.response));
+        value = match ? match[rule.group ?? (match.length > 1 ? 1 : 0)] : undefined;
+      } else if (rule.jsonpath !== undefined) {
+        value = queryJsonPath(extractResponseValue(outcome.response), rule.jsonpath);
+      } else {
+        throw new Error('需要指定jsonpath或regex');
+      }
+      if (value === undefined) {
+        errors.push(`${name}: ${rule.regex ?? rule.jsonpath} 没有匹配到值`);
+      } else {
+        values[name] = value;
+      }
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+  return { values, errors };
+}
+
+// 保存捕获的变量：用例有id时存放在variables[id]下，以 {{id.变量名}} 引用，否则直接以 {{变量名}} 引用
+function storeCapturedVariables(variables, caseId, values) {
+  if (caseId) {
+    variables[caseId] = { ...variables[caseId], ...values };
+  } else {
+    Object.assign(variables, values);
+  }
+}
+
+/**
+ * 替换值中的 {{变量}} 引用，变量名支持点号路径，如 {{create.id}}
+ * 整个字符串就是一个引用时保留变量的原始类型，否则按文本插入（非字符串值转为JSON）
+ * @param {Set<string>} [declared] - 只替换顶层名称在其中的引用，其余原样保留；省略时替换全部引用
+ * @throws {Error} 引用了不存在的变量
+ */
+function resolveTemplates(value, variables, declared) {
+  const isDeclared = (name) => !declared || declared.has(name.split('.')[0]);
+  if (typeof value === 'string') {
+    const whole = /^\{\{\s*([^{}]+?)\s*\}\}$/.exec(value);
+    if (whole) {
+      return isDeclared(whole[1]) ? lookupVariable(variables, whole[1]) : value;
+    }
+    return value.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, name) => {
+      if (!isDeclared(name)) return match;
+      const resolved = lookupVariable(variables, name);
+      return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplates(item, variables, declared));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, variables, declared)]));
+  }
+  return value;
+}
+
+function lookupVariable(variables, name) {
+  let current = variables;
+  for (const part of name.split('.')) {
+    if (current === null || typeof current !== 'object' || !(part in current)) {
+      throw new Error(`引用了未定义的变量 {{${name}}}`);
+    }
+    current = current[part];
+  }
+  return current;
+}
+
+/**
+ * 对响应执行用例中声明的断言
+ * @param {object} expect - 期望，支持 equals、subset、jsonpath、text_matches、isError、error_matches、max_latency_ms，
+ *   以及对调用期间通知的 progress、notifications（见evaluateNotificationExpectations）
+ * @param {object} caseResult - 用例结果 {response, error, execution_time, notifications}
+ * @returns {Array<object>} 断言结果 [{description, passed, diffs?, message?}]
+ */
+function evaluateExpectations(expect, caseResult) {
+  const assertions = [];
+  const { response, error, execution_time } = caseResult;
+
+  // 请求本身失败（JSON-RPC错误）时，只有error_matches可以通过
+  if (error) {
+    if (expect.error_matches !== undefined) {
+      const passed = new RegExp(expect.error_matches).test(error);
+      assertions.push({
+        description: `错误信息匹配 /${expect.error_matches}/`,
+        passed,
+        message: passed ? undefined : `实际错误: ${error}`
+      });
+    } else {
+      assertions.push({ description: '请求成功', passed: false, message: `请求失败: ${error}` });
+    }
+    return assertions;
+  }
+
+  if (expect.error_matches !== undefined) {
+    assertions.push({ description: `错误信息匹配 /${expect.error_matches}/`, passed: false, message: '请求成功，未返回错误' });
+  }
+
+  if (expect.isError !== undefined) {
+    const actual = response?.isError === true;
+    assertions.push({
+      description: `isError 为 ${expect.isError}`,
+      passed: actual === expect.isError,
+      diffs: actual === expect.isError ? [] : [{ path: '$.isError', expected: expect.isError, actual }]
+    });
+  }
+
+  const value = extractResponseValue(response);
+
+  if (expect.equals !== undefined) {
+    const diffs = diffValues(expect.equals, value);
+    assertions.push({ description: '响应值精确匹配', passed: diffs.length === 0, diffs });
+  }
+
+  if (expect.subset !== undefined) {
+    const diffs = diffValues(expect.subset, value, '$', true);
+    assertions.push({ description: '响应值包含期望子集', passed: diffs.length === 0, diffs });
+  }
+
+  for (const [jsonPath, expected] of Object.entries(expect.jsonpath || {})) {
+    let actual;
+    try {
+      actual = queryJsonPath(value, jsonPath);
+    } catch (e) {
+      assertions.push({ description: `JSONPath ${jsonPath}`, passed: false, message: e.message });
+      continue;
+    }
+    const diffs = diffValues(expected, actual, jsonPath);
+    assertions.push({ description: `JSONPath ${jsonPath}`, passed: diffs.length === 0, diffs });
+  }
+
+  if (expect.text_matches !== undefined) {
+    const text = extractTextContent(response);
+    const passed = new RegExp(expect.text_matches).test(text);
+    assertions.push({
+      description: `文本内容匹配 /${expect.text_matches}/`,
+      passed,
+      message: passed ? undefined : `实际文本: ${text.length > 200 ? `${text.slice(0, 200)}...` : text}`
+    });
+  }
+
+  if (expect.max_latency_ms !== undefined) {
+    const passed = execution_time <= expect.max_latency_ms;
+    assertions.push({
+      description: `耗时不超过 ${expect.max_latency_ms}ms`,
+      passed,
+      message: passed ? undefined : `实际耗时 ${execution_time}ms`
+    });
+  }
+
+  assertions.push(...evaluateNotificationExpectations(expect, caseResult.notifications || []));
+
+  // 写了expect却没有产生任何断言（如jsonpath为空对象）时不能当作通过
+  if (assertions.length === 0 && Object.keys(expect).length > 0) {
+    assertions.push({ description: '执行expect中的断言', passed: false, message: `expect没有产生任何断言: ${Object.keys(expect).join(', ')}` });
+  }
+
+  return assertions;
+}
+
+/**
+ * 对调用期间收到的通知做断言
+ * progress: {min_count, monotonic, reaches_total}；notifications: [{method, match, min_count}]，match为与params的JSON文本匹配的正则
+ * @returns {Array} 断言结果列表
+ */
+function evaluateNotificationExpectations(expect, notifications) {
+  const assertions = [];
+
+  if (expect.progress !== undefined) {
+    const { min_count = 1, monotonic = true, reaches_total = false } = expect.progress === true ? {} : expect.progress;
+    const progress = checkProgress(notifications);
+    const count = progress?.count || 0;
+    assertions.push({
+      description: `至少${min_count}条进度通知`,
+      passed: count >= min_count,
+      message: count >= min_count ? undefined : `实际收到${count}条`
+    });
+    if (progress && monotonic) {
+      assertions.push({
+        description: 'progress逐次递增',
+        passed: progress.monotonic,
+        message: progress.monotonic ? undefined : `实际进度序列: ${notifications.filter(e => e.method === 'notifications/progress').map(e => e.params.progress).join(', ')}`
+      });
+    }
+    if (reaches_total) {
+      const passed = progress?.reachesTotal === true;
+      assertions.push({
+        description: '最终进度达到total',
+        passed,
+        message: passed ? undefined : progress ? `最终进度 ${progress.last.progress}/${progress.last.total ?? '未声明total'}` : '没有进度通知'
+      });
+    }
+  }
+
+  for (const rule of expect.notifications || []) {
+    const { method, match, min_count = 1 } = rule;
+    const pattern = match !== undefined ? new RegExp(match) : null;
+    const count = notifications.filter(e => e.method === method && (!pattern || pattern.test(JSON.stringify(e.params)))).length;
+    assertions.push({
+      description: `至少${min_count}条 ${method}${pattern ? ` 匹配 /${match}/` : ''}`,
+      passed: count >= min_count,
+      message: count >= min_count ? undefined : `实际收到${count}条`
+    });
+  }
+
+  return assertions;
+}
+
+/**
+ * 计算简单JSONPath表达式的值，支持 $、.key、['key']、[index]、[*]/.* 和递归查找 ..key
+ * 不含通配符和递归查找时返回单个值，否则返回所有匹配值组成的数组
+ */
+function queryJsonPath(root, expression) {
+  const tokens = parseJsonPath(expression);
+  const matches = locateJsonPath(root, tokens);
+  return tokens.some(t => t.wildcard || t.recursive) ? matches.map(m => m.value) : matches[0]?.value;
+}
+
+// 把JSONPath表达式拆分为 {key} / {wildcard} / {recursive, key} 序列
+function parseJsonPath(expression) {
+  if (!expression.startsWith('$')) {
+    throw new Error(`JSONPath必须以$开头: ${expression}`);
+  }
+
+  const tokens = [];
+  const pattern = /\.\.([^.[\]]+)|\.([^.[\]]+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]|\[\*\]/g;
+  let consumed = 1;
+  let match;
+  pattern.lastIndex = 1;
+  while ((match = pattern.exec(expression)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = pattern.lastIndex;
+    if (match[1] !== undefined) {
+      tokens.push({ recursive: true, key: match[1] });
+    } else if (match[0] === '[*]' || match[2] === '*') {
+      tokens.push({ wildcard: true });
+    } else if (match[3] !== undefined) {
+      tokens.push({ key: Number(match[3]) });
+    } else {
+      tokens.push({ key: match[2] ?? match[4] ?? match[5] });
+    }
+  }
+  if (consumed !== expression.length) {
+    throw new Error(`无法解析的JSONPath: ${expression}`);
+  }
+  return tokens;
+}
+
+/**
+ * 找出JSONPath匹配的所有位置
+ * @returns {Array} [{parent, key, value}]，根节点本身匹配时parent为null
+ */
+function locateJsonPath(root, tokens) {
+  let current = [{ parent: null, key: null, value: root }];
+  for (const token of tokens) {
+    const next = [];
+    const visit = (node) => {
+      if (node === null || typeof node !== 'object') return;
+      if (token.recursive) {
+        if (!Array.isArray(node) && token.key in node) {
+          next.push({ parent: node, key: token.key, value: node[token.key] });
+        }
+        Object.values(node).forEach(visit);
+      } else if (token.wildcard) {
+        for (const key of Object.keys(node)) {
+          next.push({ parent: node, key, value: node[key] });
+        }
+      } else if (token.key in node) {
+        next.push({ parent: node, key: token.key, value: node[token.key] });
+      }
+    };
+    current.forEach(location => visit(location.value));
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * 读取快照文件，不存在时返回空快照
+ * @param {string} filePath - 快照文件路径
+ * @returns {Promise<object>} {suite, updated_at, cases}
+ */
+async function loadSnapshotFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { cases: {} };
+    throw new Error(`无法读取快照文件: ${filePath} (${error.message})`);
+  }
+  try {
+    const snapshot = JSON.parse(text);
+    return { ...snapshot, cases: snapshot.cases || {} };
+  } catch (error) {
+    throw new Error(`快照文件解析失败: ${filePath} (${error.message})`);
+  }
+}
+
+// 把工具调用结果规范化为快照值：文本内容能解析为JSON时按JSON保存，调用失败时只保留错误码和消息
+function normalizeSnapshotValue(outcome) {
+  if (outcome.error) {
+    return { error: { code: outcome.error.code, message: outcome.error.message } };
+  }
+  const { response } = outcome;
+  const value = {
+    isError: response?.isError === true,
+    content: (response?.content || []).map(item => {
+      if (item.type !== 'text') return item;
+      try {
+        return { type: 'text', json: JSON.parse(item.text) };
+      } catch (e) {
+        return { type: 'text', text: item.text };
+      }
+    })
+  };
+  if (response?.structuredContent !== undefined) {
+    value.structuredContent = response.structuredContent;
+  }
+  return value;
+}
+
+// 编译正则脱敏规则，总会加上g标志，否则只会替换每个字符串中的第一处匹配
+function compileRedactionPattern(rule) {
+  const flags = rule.flags ?? 'g';
+  return {
+    regex: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`),
+    replacement: rule.replacement ?? '[REDACTED]'
+  };
+}
+
+/**
+ * 对快照值脱敏：先按JSONPath替换为[REDACTED]，再对所有字符串值应用正则替换
+ * @param {object} value - 规范化后的快照值
+ * @param {object} redactions - {paths: string[], patterns: [{regex, replacement}]}
+ * @returns {object} 脱敏后的新对象
+ */
+function redactSnapshotValue(value, { paths = [], patterns = [] }) {
+  const copy = structuredClone(value);
+  for (const expression of paths) {
+    for (const location of locateJsonPath(copy, parseJsonPath(expression))) {
+      if (location.parent) location.parent[location.key] = '[REDACTED]';
+    }
+  }
+
+  const replaceStrings = (node) => {
+    if (typeof node === 'string') {
+      return patterns.reduce((text, { regex, replacement }) => text.replace(regex, replacement), node);
+    }
+    if (Array.isArray(node)) return node.map(replaceStrings);
+    if (node !== null && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, item]) => [key, replaceStrings(item)]));
+    }
+    return node;
+  };
+  return replaceStrings(copy);
+}
+
+/**
+ * 比较期望值和实际值，返回差异列表
+ * @param {*} expected - 期望值
+ * @param {*} actual - 实际值
+ * @param {string} currentPath - 当前路径，用于报告
+ * @param {boolean} subset - 子集模式：忽略实际值中多出的对象字段
+ * @returns {Array<object>} 差异 [{path, expected, actual}]
+ */
+function diffValues(expected, actual, currentPath = '$', subset = false) {
+  if (expected === actual) return [];
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) {
+      return [{ path: currentPath, expected, actual }];
+    }
+    const diffs = [];
+    if (!subset && expected.length !== actual.length) {
+      diffs.push({ path: `${currentPath}.length`, expected: expected.length, actual: actual.length });
+    }
+    expected.forEach((item, i) => {
+      diffs.push(...diffValues(item, actual[i], `${currentPath}[${i}]`, subset));
+    });
+    return diffs;
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+      return [{ path: currentPath, expected, actual }];
+    }
+    const diffs = [];
+    for (const key of Object.keys(expected)) {
+      diffs.push(...diffValues(expected[key], actual[key], `${currentPath}.${key}`, subset));
+    }
+    if (!subset) {
+      for (const key of Object.keys(actual)) {
+        if (!(key in expected)) {
+          diffs.push({ path: `${currentPath}.${key}`, expected: undefined, actual: actual[key] });
+        }
+      }
+    }
+    return diffs;
+  }
+
+  return [{ path: currentPath, expected, actual }];
+}
+
+// 差异值的单行显示
+function formatDiffValue(value) {
+  if (value === undefined) return '(不存在)';
+  const text = JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 120)}...` : text;
+}
+
+/**
+ * 从/proc读取进程的资源使用情况（仅Linux）
+ * @param {number} pid - 进程ID
+ * @returns {Promise<object|null>} {time, cpu_ms, rss_bytes, fds}，不支持或进程已退出时为null
+ */
+async function readProcessUsage(pid) {
+  if (!pid || process.platform !== 'linux') return null;
+  try {
+    const [stat, status, fds] = await Promise.all([
+      fs.readFile(`/proc/${pid}/stat`, 'utf-8'),
+      fs.readFile(`/proc/${pid}/status`, 'utf-8'),
+      fs.readdir(`/proc/${pid}/fd`)
+    ]);
+    // comm字段可能包含空格和括号，从最后一个')'之后解析；utime、stime是第14、15个字段
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const cpuTicks = Number(fields[11]) + Number(fields[12]);
+    const rssKb = Number(/^VmRSS:\s+(\d+)\s+kB/m.exec(status)?.[1] ?? 0);
+    return { time: Date.now(), cpu_ms: cpuTicks * 1000 / PROC_CLOCK_TICKS, rss_bytes: rssKb * 1024, fds: fds.length };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 按固定间隔采样目标服务器进程的资源使用
+ * @param {MCPClient} client - 客户端实例，需为本地stdio连接
+ * @param {number} intervalMs - 采样间隔(毫秒)
+ * @returns {object} {samples, stop}，stop()做最后一次采样并返回全部样本
+ */
+function startResourceMonitor(client, intervalMs) {
+  const samples = [];
+  const take = async () => {
+    const usage = await readProcessUsage(client.getDiagnostics().pid);
+    if (usage) samples.push(usage);
+  };
+  let pending = take();
+  const timer = setInterval(() => {
+    pending = pending.then(take);
+  }, intervalMs);
+  return {
+    samples,
+    stop: async () => {
+      clearInterval(timer);
+      await pending.then(take);
+      return samples;
+    }
+  };
+}
+
+// 汇总资源样本：RSS和文件描述符的起止与峰值、CPU时间和平均CPU占用
+function summarizeResourceSamples(samples) {
+  if (samples.length === 0) return null;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const elapsed = last.time - first.time;
+  return {
+    samples: samples.length,
+    duration_ms: elapsed,
+    rss: { start: first.rss_bytes, end: last.rss_bytes, peak: Math.max(...samples.map(s => s.rss_bytes)) },
+    fds: { start: first.fds, end: last.fds, peak: Math.max(...samples.map(s => s.fds)) },
+    cpu_ms: last.cpu_ms - first.cpu_ms,
+    cpu_percent: elapsed > 0 ? (last.cpu_ms - first.cpu_ms) / elapsed * 100 : 0
+  };
+}
+
+// 资源使用报告片段
+function formatResourceUsage(summary) {
+  if (!summary) {
+    return `\n\n## 🖥️ 资源使用\n无法采样：需要Linux上的本地stdio服务器（远程服务器或进程已退出时不可用）`;
+  }
+  return `\n\n## 🖥️ 资源使用（${summary.samples}个样本，历时${(summary.duration_ms / 1000).toFixed(1)}秒）
+| 指标 | 开始 | 结束 | 峰值 |
+|------|------|------|------|
+| RSS | ${formatBytes(summary.rss.start)} | ${formatBytes(summary.rss.end)} | ${formatBytes(summary.rss.peak)} |
+| 文件描述符 | ${summary.fds.start} | ${summary.fds.end} | ${summary.fds.peak} |
+
+- **CPU时间**: ${summary.cpu_ms.toFixed(0)}ms（平均占用 ${summary.cpu_percent.toFixed(1)}%）`;
+}
+
+function formatBytes(bytes) {
+  const sign = bytes < 0 ? '-' : '';
+  const value = Math.abs(bytes);
+  if (value < 1024) return `${sign}${value.toFixed(0)}B`;
+  if (value < 1024 * 1024) return `${sign}${(value / 1024).toFixed(1)}KB`;
+  return `${sign}${(value / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * 分析RSS随调用次数的增长。带GC的运行时RSS呈锯齿状，直接拟合会把堆扩张和延迟回收误判为泄漏，
+ * 因此另外比较中间三分之一和最后三分之一样本中的最小值（回收后的基线）
+ * @param {Array} samples - [{calls, rss_bytes}]
+ * @returns {object|null} {regression, floorPerCall, baselineReliable}，样本不足时为null
+ */
+function analyzeMemoryGrowth(samples) {
+  const regression = linearRegression(samples.map(s => ({ x: s.calls, y: s.rss_bytes })));
+  if (!regression || samples.length < 6) return null;
+
+  const third = Math.floor(samples.length / 3);
+  const middle = samples.slice(third, third * 2);
+  const last = samples.slice(third * 2);
+  const minOf = (list) => list.reduce((min, s) => s.rss_bytes < min.rss_bytes ? s : min);
+  const middleFloor = minOf(middle);
+  const lastFloor = minOf(last);
+  const calls = lastFloor.calls - middleFloor.calls;
+  // RSS明显回落说明该段发生过垃圾回收，最低点才是回收后的基线
+  const hasDrop = (from, to) => samples.slice(from, to).some((s, i) => samples[from + i - 1] && samples[from + i - 1].rss_bytes - s.rss_bytes > GC_DROP_BYTES);
+
+  return {
+    regression,
+    floorPerCall: calls > 0 ? (lastFloor.rss_bytes - middleFloor.rss_bytes) / calls : 0,
+    baselineReliable: hasDrop(third, third * 2) && hasDrop(third * 2, samples.length)
+  };
+}
+
+// 最小二乘线性回归，返回斜率、截距和决定系数R²
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: meanY - slope * meanX, r2: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy) };
+}
+
+// 把毫秒数格式化为 X时X分 / X分X秒 / X秒
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}秒`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}分${seconds % 60}秒`;
+  return `${Math.floor(minutes / 60)}时${minutes % 60}分`;
+}
+
+// 基于种子的伪随机数生成器（mulberry32），保证模糊测试可复现
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 字符串哈希，用于从工具名派生种子
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+  }
+  return hash >>> 0;
+}
+
+// 使用给定随机数生成器打乱数组（Fisher-Yates）
+function shuffleWithRandom(items, rng) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// 模糊测试使用的Unicode样本：emoji、CJK、RTL、零宽字符、组合字符、控制字符
+const FUZZ_UNICODE_SAMPLES = [
+  '😀🚀👨‍👩‍👧‍👦',
+  '测试中文字符串',
+  'مرحبا بالعالم',
+  'a\u200Bb\u200Cc\uFEFF',
+  'e\u0301\u0302\u0303',
+  'line1\nline2\ttab\u0000null',
+  '\uD800',
+  '<script>alert(1)</script>\'"; DROP TABLE x;--'
+];
+
+/**
+ * 根据工具的inputSchema生成模糊测试用例
+ * 每个用例在一组有效的示例参数基础上只改动一个字段，便于定位问题
+ * @param {object} tool - 工具定义
+ * @param {function} rng - 随机数生成器
+ * @returns {Array<object>} 用例 [{category, description, args, expectValid}]
+ */
+function generateFuzzCases(tool, rng) {
+  const schema = tool.inputSchema || {};
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const baseArgs = generateExampleCall(tool);
+  const cases = [];
+  const withValue = (key, value) => ({ ...baseArgs, [key]: value });
+  const add = (category, description, args, expectValid) => cases.push({ category, description, args, expectValid });
+
+  add('baseline', '示例参数', baseArgs, true);
+  add('missing_required', '空参数对象', {}, required.length === 0);
+
+  for (const key of required) {
+    const { [key]: _omitted, ...rest } = baseArgs;
+    add('missing_required', `缺少必需字段 ${key}`, rest, false);
+  }
+
+  for (const [key, propSchema] of Object.entries(properties)) {
+    const type = Array.isArray(propSchema.type) ? propSchema.type[0] : propSchema.type;
+    const nullable = Array.isArray(propSchema.type) && propSchema.type.includes('null');
+
+    add('null', `${key} 为 null`, withValue(key, null), nullable);
+
+    // 类型错误
+    const wrongTypeValues = {
+      string: [12345, true, ['array']],
+      number: ['not_a_number', true],
+      integer: ['1', 1.5],
+      boolean: ['true', 1],
+      array: ['not_an_array', { not: 'array' }],
+      object: ['not_an_object', [1, 2]]
+    }[type] || [];
+    for (const value of wrongTypeValues) {
+      add('wrong_type', `${key} 类型错误: ${JSON.stringify(value)}`, withValue(key, value), false);
+    }
+
+    // 枚举越界
+    if (Array.isArray(propSchema.enum) && propSchema.enum.length > 0) {
+      add('enum_violation', `${key} 不在枚举中`, withValue(key, `${propSchema.enum[0]}_invalid`), false);
+    }
+
+    if (type === 'number' || type === 'integer') {
+      const step = type === 'integer' ? 1 : 0.001;
+      if (propSchema.minimum !== undefined) {
+        add('boundary', `${key} = minimum (${propSchema.minimum})`, withValue(key, propSchema.minimum), true);
+        add('boundary', `${key} = minimum - ${step}`, withValue(key, propSchema.minimum - step), false);
+      }
+      if (propSchema.maximum !== undefined) {
+        add('boundary', `${key} = maximum (${propSchema.maximum})`, withValue(key, propSchema.maximum), true);
+        add('boundary', `${key} = maximum + ${step}`, withValue(key, propSchema.maximum + step), false);
+      }
+      if (propSchema.exclusiveMinimum !== undefined && typeof propSchema.exclusiveMinimum === 'number') {
+        add('boundary', `${key} = exclusiveMinimum (${propSchema.exclusiveMinimum})`, withValue(key, propSchema.exclusiveMinimum), false);
+      }
+      if (propSchema.exclusiveMaximum !== undefined && typeof propSchema.exclusiveMaximum === 'number') {
+        add('boundary', `${key} = exclusiveMaximum (${propSchema.exclusiveMaximum})`, withValue(key, propSchema.exclusiveMaximum), false);
+      }
+      const unbounded = propSchema.minimum === undefined && propSchema.exclusiveMinimum === undefined;
+      add('boundary', `${key} = 0`, withValue(key, 0), unbounded || (propSchema.minimum ?? propSchema.exclusiveMinimum) <= 0);
+      add('boundary', `${key} 为负数`, withValue(key, -Math.ceil(rng() * 1000)), unbounded);
+      add('boundary', `${key} 为极大值`, withValue(key, Number.MAX_SAFE_INTEGER), propSchema.maximum === undefined && propSchema.exclusiveMaximum === undefined);
+      if (type === 'integer') {
+        add('wrong_type', `${key} 为小数`, withValue(key, 0.5), false);
+      }
+    }
+
+    if (type === 'string') {
+      if (propSchema.minLength !== undefined) {
+        add('boundary', `${key} 长度 = minLength (${propSchema.minLength})`, withValue(key, 'a'.repeat(propSchema.minLength)), !propSchema.pattern && !propSchema.format);
+        if (propSchema.minLength > 0) {
+          add('boundary', `${key} 长度 = minLength - 1`, withValue(key, 'a'.repeat(propSchema.minLength - 1)), false);
+        }
+      }
+      if (propSchema.maxLength !== undefined) {
+        add('boundary', `${key} 长度 = maxLength (${propSchema.maxLength})`, withValue(key, 'a'.repeat(propSchema.maxLength)), !propSchema.pattern && !propSchema.format);
+        add('boundary', `${key} 长度 = maxLength + 1`, withValue(key, 'a'.repeat(propSchema.maxLength + 1)), false);
+      }
+      if (!propSchema.enum) {
+        const looseString = !propSchema.pattern && !propSchema.format;
+        add('boundary', `${key} 为空字符串`, withValue(key, ''), looseString && !propSchema.minLength);
+        add('huge_string', `${key} 为超长字符串 (100000字符)`, withValue(key, 'A'.repeat(100000)), looseString && (propSchema.maxLength === undefined || propSchema.maxLength >= 100000));
+        const sample = FUZZ_UNICODE_SAMPLES[Math.floor(rng() * FUZZ_UNICODE_SAMPLES.length)];
+        add('unicode', `${key} 含特殊Unicode字符`, withValue(key, sample), looseString && (propSchema.maxLength === undefined || sample.length <= propSchema.maxLength));
+      }
+    }
+
+    if (type === 'array') {
+      add('empty_array', `${key} 为空数组`, withValue(key, []), !propSchema.minItems);
+      if (propSchema.maxItems !== undefined) {
+        const item = Array.isArray(baseArgs[key]) && baseArgs[key].length > 0 ? baseArgs[key][0] : 'item';
+        add('boundary', `${key} 元素数 = maxItems + 1`, withValue(key, Array(propSchema.maxItems + 1).fill(item)), false);
+      }
+    }
+  }
+
+  add('extra_property', '包含未声明的额外字段', { ...baseArgs, __fuzz_extra__: 'unexpected' }, schema.additionalProperties !== false);
+
+  return cases;
+}
+
+// 判断模糊测试结果是否可疑：崩溃、挂起、接受了无效输入、拒绝了有效输入
+function isSuspiciousFuzzOutcome(caseResult) {
+  if (caseResult.outcome === 'crash') return '服务器崩溃';
+  if (caseResult.outcome === 'hang') return '服务器无响应';
+  if (!caseResult.expectValid && caseResult.outcome === 'success') return '接受了无效输入';
+  if (caseResult.expectValid && caseResult.category !== 'baseline' && caseResult.outcome === 'jsonrpc_error') return '拒绝了有效的边界输入';
+  return null;
+}
+
+// 计算响应时间统计（最小/最大/平均/百分位）
+function calculateLatencyStats(latencies) {
+  if (!latencies || latencies.length === 0) return null;
+
+  const sorted = [...latencies].sort((a, b) => a - b);
+  // 使用nearest-rank方法计算百分位
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    p50: percentile(50),
+    p90: percentile(90),
+    p99: percentile(99)
+  };
+}
+
+/**
+ * 按JSON Schema规范校验工具的inputSchema
+ * 检查元模式合法性、$ref解析、required与properties一致性、enum/default合法性以及描述完整性
+ * @param {object} tool - 工具定义
+ * @returns {Array<object>} 发现的问题 [{severity: 'error'|'warning', path, message}]
+ */
+function validateInputSchema(tool) {
+  const findings = [];
+  const addFinding = (severity, findingPath, message) => findings.push({ severity, path: findingPath, message });
+  const schema = tool.inputSchema;
+
+  if (!tool.description || !tool.description.trim()) {
+    addFinding('warning', 'description', '工具缺少描述');
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    addFinding('error', 'inputSchema', '缺少inputSchema');
+    return findings;
+  }
+  if (!schema.type) {
+    addFinding('error', 'inputSchema.type', 'inputSchema缺少type字段');
+  } else if (schema.type !== 'object') {
+    addFinding('error', 'inputSchema.type', `MCP要求inputSchema的type为object，实际为${JSON.stringify(schema.type)}`);
+  }
+  if (schema.type === 'object' && !schema.properties) {
+    addFinding('warning', 'inputSchema.properties', 'object类型的schema缺少properties');
+  }
+
+  const ajv = createAjv(schema);
+
+  // 元模式校验
+  if (!ajv.validateSchema(schema)) {
+    // 同一位置通常有多条连带错误（如anyOf分支），只报告第一条
+    const reportedPaths = new Set();
+    for (const error of ajv.errors || []) {
+      const errorPath = `inputSchema${error.instancePath.replace(/\//g, '.')}`;
+      if (reportedPaths.has(errorPath)) continue;
+      reportedPaths.add(errorPath);
+      addFinding('error', errorPath, `不符合JSON Schema元模式: ${error.message}`);
+    }
+    return findings;
+  }
+
+  // 编译schema以解析全部$ref
+  const schemaKey = `mcp-tester://tools/${encodeURIComponent(tool.name)}`;
+  try {
+    ajv.addSchema(schema, schemaKey);
+    ajv.compile({ $ref: schemaKey });
+  } catch (error) {
+    addFinding('error', 'inputSchema', `schema无法编译（可能存在无法解析的$ref）: ${error.message}`);
+    return findings;
+  }
+
+  // 解析本地$ref，返回被引用的子schema
+  const resolveRef = (node) => {
+    const seen = new Set();
+    while (node && typeof node.$ref === 'string' && node.$ref.startsWith('#') && !seen.has(node.$ref)) {
+      seen.add(node.$ref);
+      node = node.$ref.slice(1).split('/').filter(Boolean)
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((current, part) => current?.[part], schema);
+    }
+    return node;
+  };
+
+  const visited = new Set();
+  const visit = (node, nodePath, pointer) => {
+    if (!node || typeof node !== 'object' || visited.has(node)) return;
+    visited.add(node);
+    const resolved = resolveRef(node);
+    if (!resolved) return;
+
+    // required中的字段必须在properties中声明
+    if (Array.isArray(node.required) && node.required.length > 0) {
+      for (const key of node.required) {
+        if (!node.properties || !(key in node.properties)) {
+          addFinding('error', `${nodePath}.required`, `必需字段 ${key} 未在properties中声明`);
+        }
+      }
+    }
+
+    // enum和default的一致性
+    let defaultReported = false;
+    if (Array.isArray(node.enum)) {
+      if (node.enum.length === 0) {
+        addFinding('error', `${nodePath}.enum`, 'enum为空数组，任何值都无法通过校验');
+      }
+      if (node.default !== undefined && !node.enum.some(v => JSON.stringify(v) === JSON.stringify(node.default))) {
+        addFinding('error', `${nodePath}.default`, `默认值 ${JSON.stringify(node.default)} 不在enum中`);
+        defaultReported = true;
+      }
+    }
+
+    // 默认值必须满足自身schema
+    if (node.default !== undefined && !defaultReported) {
+      try {
+        const validate = ajv.compile({ $ref: `${schemaKey}#${pointer}` });
+        if (!validate(node.default)) {
+          addFinding('error', `${nodePath}.default`, `默认值 ${JSON.stringify(node.default)} 不满足自身schema: ${ajv.errorsText(validate.errors)}`);
+        }
+      } catch (e) {
+        // 无法单独编译的子schema跳过默认值检查
+      }
+    }
+
+    const escape = (key) => key.replace(/~/g, '~0').replace(/\//g, '~1');
+    for (const [key, propSchema] of Object.entries(node.properties || {})) {
+      // 描述检查（lint）
+      const resolvedProp = resolveRef(propSchema);
+      if (!propSchema?.description && !resolvedProp?.description) {
+        addFinding('warning', `${nodePath}.properties.${key}`, '参数缺少描述');
+      }
+      visit(propSchema, `${nodePath}.properties.${key}`, `${pointer}/properties/${escape(key)}`);
+    }
+    if (node.items && typeof node.items === 'object' && !Array.isArray(node.items)) {
+      visit(node.items, `${nodePath}.items`, `${pointer}/items`);
+    }
+    if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+      visit(node.additionalProperties, `${nodePath}.additionalProperties`, `${pointer}/additionalProperties`);
+    }
+    for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+      (Array.isArray(node[keyword]) ? node[keyword] : []).forEach((sub, i) => {
+        visit(sub, `${nodePath}.${keyword}[${i}]`, `${pointer}/${keyword}/${i}`);
+      });
+    }
+    for (const keyword of ['$defs', 'definitions']) {
+      for (const [key, sub] of Object.entries(node[keyword] || {})) {
+        visit(sub, `${nodePath}.${keyword}.${key}`, `${pointer}/${keyword}/${escape(key)}`);
+      }
+    }
+    if (resolved !== node) {
+      const refPointer = node.$ref.slice(1);
+      visit(resolved, `${nodePath}(${node.$ref})`, refPointer);
+    }
+  };
+  visit(schema, 'inputSchema', '');
+
+  return findings;
+}
+
+// 根据schema声明的$schema选择对应版本的校验器，默认draft-07
+function createAjv(schema) {
+  const is2020 = typeof schema?.$schema === 'string' && /2019-09|2020-12/.test(schema.$schema);
+  const ajv = is2020 ? new Ajv2020({ strict: false, allErrors: true }) : new Ajv({ strict: false, allErrors: true });
+  addFormats(ajv);
+  return ajv;
+}
+
+// base64字符串校验
+function isBase64(value) {
+  return typeof value === 'string' && value.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(value);
+}
+
+/**
+ * 校验单个内容项（工具结果的content项或提示消息的content）
+ * @param {object} item - 内容项
+ * @param {string} itemPath - 内容项路径，用于报告
+ * @param {function} addIssue - 记录问题的回调 (severity, path, message)
+ */
+function validateContentItem(item, itemPath, addIssue) {
+  if (!item || typeof item !== 'object' || !item.type) {
+    addIssue('error', itemPath, '内容项缺少type字段');
+    return;
+  }
+
+  switch (item.type) {
+    case 'text':
+      if (typeof item.text !== 'string') addIssue('error', `${itemPath}.text`, 'text类型的内容项必须包含字符串text');
+      break;
+
+    case 'image':
+    case 'audio':
+      if (!isBase64(item.data)) addIssue('error', `${itemPath}.data`, `${item.type}类型的data必须是base64编码字符串`);
+      if (typeof item.mimeType !== 'string' || !item.mimeType) {
+        addIssue('error', `${itemPath}.mimeType`, `${item.type}类型的内容项缺少mimeType`);
+      } else if (!item.mimeType.startsWith(`${item.type}/`)) {
+        addIssue('warning', `${itemPath}.mimeType`, `mimeType ${item.mimeType} 与内容类型 ${item.type} 不匹配`);
+      }
+      break;
+
+    case 'resource': {
+      const resource = item.resource;
+      if (!resource || typeof resource !== 'object') {
+        addIssue('error', `${itemPath}.resource`, 'resource类型的内容项缺少resource对象');
+        break;
+      }
+      if (typeof resource.uri !== 'string' || !resource.uri) addIssue('error', `${itemPath}.resource.uri`, '嵌入资源缺少uri');
+      const hasText = typeof resource.text === 'string';
+      const hasBlob = resource.blob !== undefined;
+      if (hasText === hasBlob) {
+        addIssue('error', `${itemPath}.resource`, '嵌入资源必须且只能包含text或blob之一');
+      } else if (hasBlob && !isBase64(resource.blob)) {
+        addIssue('error', `${itemPath}.resource.blob`, 'blob必须是base64编码字符串');
+      }
+      if (resource.mimeType !== undefined && typeof resource.mimeType !== 'string') {
+        addIssue('error', `${itemPath}.resource.mimeType`, 'mimeType必须是字符串');
+      }
+      break;
+    }
+
+    case 'resource_link':
+      if (typeof item.uri !== 'string' || !item.uri) addIssue('error', `${itemPath}.uri`, 'resource_link缺少uri');
+      if (typeof item.name !== 'string' || !item.name) addIssue('error', `${itemPath}.name`, 'resource_link缺少name');
+      if (item.mimeType !== undefined && typeof item.mimeType !== 'string') addIssue('error', `${itemPath}.mimeType`, 'mimeType必须是字符串');
+      break;
+
+    default:
+      addIssue('warning', `${itemPath}.type`, `未知的内容类型: ${item.type}`);
+  }
+
+  // annotations校验
+  if (item.annotations !== undefined) {
+    const annotations = item.annotations;
+    if (!annotations || typeof annotations !== 'object') {
+      addIssue('error', `${itemPath}.annotations`, 'annotations必须是对象');
+      return;
+    }
+    if (annotations.audience !== undefined && (!Array.isArray(annotations.audience) || annotations.audience.some(r => r !== 'user' && r !== 'assistant'))) {
+      addIssue('error', `${itemPath}.annotations.audience`, 'audience必须是由"user"/"assistant"组成的数组');
+    }
+    if (annotations.priority !== undefined && (typeof annotations.priority !== 'number' || annotations.priority < 0 || annotations.priority > 1)) {
+      addIssue('error', `${itemPath}.annotations.priority`, 'priority必须是0到1之间的数字');
+    }
+    if (annotations.lastModified !== undefined && (typeof annotations.lastModified !== 'string' || isNaN(Date.parse(annotations.lastModified)))) {
+      addIssue('error', `${itemPath}.annotations.lastModified`, 'lastModified必须是ISO 8601时间字符串');
+    }
+  }
+}
+
+/**
+ * 验证工具响应格式是否符合MCP规范
+ * 检查每个content项（text/image/audio/resource/resource_link）及其annotations，
+ * 并在工具声明了outputSchema时用它校验structuredContent
+ * @param {object} response - tools/call的结果
+ * @param {object} tool - 工具定义（用于获取outputSchema，可选）
+ * @returns {Array<object>} 发现的问题 [{severity: 'error'|'warning', path, message}]
+ */
+function validateToolResponse(response, tool = {}) {
+  const issues = [];
+  const addIssue = (severity, issuePath, message) => issues.push({ severity, path: issuePath, message });
+
+  if (!response || typeof response !== 'object') {
+    addIssue('error', 'result', '响应为空');
+    return issues;
+  }
+  if (!Array.isArray(response.content)) {
+    addIssue('error', 'content', 'content必须是数组');
+  } else {
+    response.content.forEach((item, i) => validateContentItem(item, `content[${i}]`, addIssue));
+  }
+
+  if (response.isError !== undefined && typeof response.isError !== 'boolean') {
+    addIssue('error', 'isError', 'isError必须是布尔值');
+  }
+
+  // structuredContent与outputSchema
+  if (response.structuredContent !== undefined && (response.structuredContent === null || typeof response.structuredContent !== 'object' || Array.isArray(response.structuredContent))) {
+    addIssue('error', 'structuredContent', 'structuredContent必须是对象');
+  } else if (tool.outputSchema) {
+    if (response.structuredContent === undefined) {
+      if (!response.isError) {
+        addIssue('error', 'structuredContent', '工具声明了outputSchema，但响应缺少structuredContent');
+      }
+    } else {
+      try {
+        const validate = createAjv(tool.outputSchema).compile(tool.outputSchema);
+        if (!validate(response.structuredContent)) {
+          for (const error of validate.errors || []) {
+            addIssue('error', `structuredContent${error.instancePath.replace(/\//g, '.')}`, `不符合outputSchema: ${error.message}`);
+          }
+        }
+      } catch (error) {
+        addIssue('error', 'outputSchema', `outputSchema无法编译: ${error.message}`);
+      }
+    }
+  } else if (response.structuredContent !== undefined) {
+    addIssue('warning', 'structuredContent', '响应包含structuredContent，但工具没有声明outputSchema');
+  }
+
+  return issues;
+}
+
+/**
+ * 校验prompts/get返回的messages
+ * 每条消息的role必须是user或assistant，content必须是合法的内容项
+ * @param {object} result - prompts/get的结果
+ * @returns {Array<object>} 发现的问题 [{severity, path, message}]
+ */
+function validatePromptMessages(result) {
+  const issues = [];
+  const addIssue = (severity, issuePath, message) => issues.push({ severity, path: issuePath, message });
+
+  if (!result || !Array.isArray(result.messages)) {
+    addIssue('error', 'messages', 'messages必须是数组');
+    return issues;
+  }
+  if (result.messages.length === 0) {
+    addIssue('warning', 'messages', 'messages为空');
+  }
+  if (result.description !== undefined && typeof result.description !== 'string') {
+    addIssue('error', 'description', 'description必须是字符串');
+  }
+
+  result.messages.forEach((message, i) => {
+    const messagePath = `messages[${i}]`;
+    if (message?.role !== 'user' && message?.role !== 'assistant') {
+      addIssue('error', `${messagePath}.role`, `role必须是user或assistant，实际为${JSON.stringify(message?.role)}`);
+    }
+    if (Array.isArray(message?.content)) {
+      addIssue('error', `${messagePath}.content`, '提示消息的content必须是单个内容对象，而不是数组');
+    } else {
+      validateContentItem(message?.content, `${messagePath}.content`, addIssue);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * 校验resources/read的结果结构
+ * 每个contents项必须包含uri，以及text或blob(base64)之一
+ * @param {object} result - resources/read的结果
+ * @param {string} requestedUri - 请求的URI
+ * @returns {Array<object>} 发现的问题 [{severity, path, message}]
+ */
+function validateResourceContents(result, requestedUri) {
+  const issues = [];
+  if (!result || !Array.isArray(result.contents)) {
+    issues.push({ severity: 'error', path: 'contents', message: 'contents必须是数组' });
+    return issues;
+  }
+  if (result.contents.length === 0) {
+    issues.push({ severity: 'warning', path: 'contents', message: 'contents为空' });
+  }
+
+  result.contents.forEach((item, i) => {
+    const itemPath = `contents[${i}]`;
+    if (typeof item?.uri !== 'string' || !item.uri) {
+      issues.push({ severity: 'error', path: `${itemPath}.uri`, message: '内容项缺少uri' });
+    }
+    const hasText = typeof item?.text === 'string';
+    const hasBlob = item?.blob !== undefined;
+    if (hasText === hasBlob) {
+      issues.push({ severity: 'error', path: itemPath, message: '内容项必须且只能包含text或blob之一' });
+    } else if (hasBlob) {
+      if (!isBase64(item.blob)) {
+        issues.push({ severity: 'error', path: `${itemPath}.blob`, message: 'blob必须是base64编码字符串' });
+      }
+      if (!item.mimeType) {
+        issues.push({ severity: 'warning', path: `${itemPath}.mimeType`, message: '二进制内容缺少mimeType' });
+      }
+    }
+    if (item?.mimeType !== undefined && typeof item.mimeType !== 'string') {
+      issues.push({ severity: 'error', path: `${itemPath}.mimeType`, message: 'mimeType必须是字符串' });
+    }
+  });
+
+  if (result.contents.length > 0 && !result.contents.some(item => item?.uri === requestedUri)) {
+    issues.push({ severity: 'warning', path: 'contents', message: `没有内容项的uri与请求的 ${requestedUri} 一致` });
+  }
+
+  return issues;
+}
+
+/**
+ * 展开RFC 6570 URI模板，支持 {var}、{+var}、{#var}、{/var}、{.var}、{;var}、{?var}、{&var}
+ * @param {string} template - URI模板
+ * @param {object} values - 变量值，缺少的变量自动生成示例值
+ * @returns {object} {uri, values} 展开后的URI和实际使用的变量值
+ */
+function expandUriTemplate(template, values = {}) {
+  const used = {};
+  const uri = template.replace(/\{([+#./;?&]?)([^}]+)\}/g, (_, operator, variableList) => {
+    const names = variableList.split(',').map(name => name.replace(/\*$/, '').replace(/:\d+$/, '').trim());
+    const allowReserved = operator === '+' || operator === '#';
+    const encode = (value) => allowReserved ? encodeURI(value) : encodeURIComponent(value);
+    const parts = names.map(name => {
+      const value = values[name] !== undefined
+        ? String(values[name])
+        : /id$/i.test(name) ? '1' : `example_${name}`;
+      used[name] = value;
+      return { name, value: encode(value) };
+    });
+
+    switch (operator) {
+      case '#': return `#${parts.map(p => p.value).join(',')}`;
+      case '.': return `.${parts.map(p => p.value).join('.')}`;
+      case '/': return `/${parts.map(p => p.value).join('/')}`;
+      case ';': return parts.map(p => `;${p.name}=${p.value}`).join('');
+      case '?': return `?${parts.map(p => `${p.name}=${p.value}`).join('&')}`;
+      case '&': return `&${parts.map(p => `${p.name}=${p.value}`).join('&')}`;
+      default: return parts.map(p => p.value).join(',');
+    }
+  });
+  return { uri, values: used };
+}
+
+// 工具参数生成函数
+function generateExampleCall(tool) {
+  const properties = tool.inputSchema?.properties || {};
+  const example = {};
+  
+  // 通用的参数值生成逻辑
   for (const [key, schema] of Object.entries(properties)) {
     if (schema.example !== undefined) {
       example[key] = schema.example;
@@ -1085,13 +6142,710 @@ function generateExampleCall(tool) {
         default:
           example[key] = `example_${key}_value`;
       }
+
+      // 让生成的值满足schema中的数值和长度约束
+      if (typeof example[key] === 'number') {
+        if (schema.minimum !== undefined && example[key] < schema.minimum) example[key] = schema.minimum;
+        if (schema.maximum !== undefined && example[key] > schema.maximum) example[key] = schema.maximum;
+      } else if (typeof example[key] === 'string') {
+        if (schema.maxLength !== undefined && example[key].length > schema.maxLength) {
+          example[key] = example[key].slice(0, schema.maxLength);
+        }
+        if (schema.minLength !== undefined && example[key].length < schema.minLength) {
+          example[key] = example[key].padEnd(schema.minLength, 'x');
+        }
+      }
     }
   }
   
   return example;
 }
 
-// 创建传输层并连接服务器
-const transport = new StdioServerTransport();
-await server.connect(transport);
+/**
+ * 连接服务器并获取其对外接口，diff_servers比较的两侧共用
+ * @param {object} target - 连接参数，可带session_id复用已打开的会话
+ * @param {object} clientOptions - MCPClient设置
+ * @returns {Promise<object>} {label, serverInfo, tools, resources, resourceTemplates, prompts}
+ * @throws {Error} 失败时error.client为失败的客户端，可从中读取诊断信息
+ */
+async function collectServerSurface(target, clientOptions) {
+  const session = target.session_id ? getSession(target.session_id) : null;
+  const client = session ? session.client : new MCPClient(clientOptions);
+  try {
+    const label = session ? `${session.target} [会话: ${target.session_id}]` : await connectTarget(client, target, target.server_args);
+    const initResult = session ? session.initResult : await client.initialize();
+    return {
+      label,
+      serverInfo: initResult.serverInfo || {},
+      // 没有声明tools能力的服务器（如只提供提示）不请求tools/list
+      tools: initResult.capabilities?.tools ? await client.listTools() : [],
+      resources: await client.listResources(),
+      resourceTemplates: await client.listResourceTemplates(),
+      prompts: await client.listPrompts()
+    };
+  } catch (error) {
+    error.client = client;
+    throw error;
+  } finally {
+    if (!session) client.disconnect();
+  }
+}
+
+/**
+ * 比较两个版本的服务器接口，列出每项变更及其语义化版本级别
+ * @param {object} base - 基准版本的接口，见collectServerSurface
+ * @param {object} head - 新版本的接口
+ * @returns {Array} [{level, subject, path, message}]，level为major、minor或patch
+ */
+function diffServerSurfaces(base, head) {
+  const changes = [];
+  const add = (level, subject, changePath, message) => changes.push({ level, subject, path: changePath, message });
+
+  diffNamedItems(base.tools, head.tools, 'name', '工具', add, (subject, before, after) => {
+    diffDescriptiveFields(before, after, ['title', 'description'], subject, '', add);
+    diffJsonSchema(before.inputSchema || {}, after.inputSchema || {}, { subject, path: 'inputSchema', direction: 'input', add });
+    if (before.outputSchema && !after.outputSchema) {
+      add('major', subject, 'outputSchema', '移除outputSchema，structuredContent不再保证符合原结构');
+    } else if (!before.outputSchema && after.outputSchema) {
+      add('minor', subject, 'outputSchema', '新增outputSchema');
+    } else if (before.outputSchema) {
+      diffJsonSchema(before.outputSchema, after.outputSchema, { subject, path: 'outputSchema', direction: 'output', add });
+    }
+    // readOnlyHint、destructiveHint等注解影响客户端是否需要用户确认
+    const hints = new Set([...Object.keys(before.annotations || {}), ...Object.keys(after.annotations || {})]);
+    for (const hint of hints) {
+      const from = before.annotations?.[hint];
+      const to = after.annotations?.[hint];
+      if (!isDeepStrictEqual(from, to)) {
+        add(hint === 'title' ? 'patch' : 'minor', subject, `annotations.${hint}`, `${formatDiffValue(from)} → ${formatDiffValue(to)}`);
+      }
+    }
+  });
+
+  const diffResource = (subject, before, after) => {
+    diffDescriptiveFields(before, after, ['name', 'title', 'description'], subject, '', add);
+    if (before.mimeType !== after.mimeType) {
+      add('minor', subject, 'mimeType', `${formatDiffValue(before.mimeType)} → ${formatDiffValue(after.mimeType)}`);
+    }
+  };
+  diffNamedItems(base.resources, head.resources, 'uri', '资源', add, diffResource);
+  diffNamedItems(base.resourceTemplates, head.resourceTemplates, 'uriTemplate', '资源模板', add, diffResource);
+
+  diffNamedItems(base.prompts, head.prompts, 'name', '提示', add, (subject, before, after) => {
+    diffDescriptiveFields(before, after, ['title', 'description'], subject, '', add);
+    const beforeArgs = new Map((before.arguments || []).map(arg => [arg.name, arg]));
+    const afterArgs = new Map((after.arguments || []).map(arg => [arg.name, arg]));
+    for (const name of beforeArgs.keys()) {
+      if (!afterArgs.has(name)) add('major', subject, `arguments.${name}`, '移除参数');
+    }
+    for (const [name, arg] of afterArgs) {
+      const old = beforeArgs.get(name);
+      const argPath = `arguments.${name}`;
+      if (!old) {
+        add(arg.required ? 'major' : 'minor', subject, argPath, arg.required ? '新增必需参数' : '新增可选参数');
+        continue;
+      }
+      if (!old.required && arg.required) add('major', subject, argPath, '参数变为必需');
+      if (old.required && !arg.required) add('minor', subject, argPath, '参数变为可选');
+      diffDescriptiveFields(old, arg, ['description'], subject, `${argPath}.`, add);
+    }
+  });
+
+  return changes;
+}
+
+// 按key配对两个列表：移除的为major，新增的为minor，两边都有的交给compare比较
+function diffNamedItems(beforeList, afterList, key, kind, add, compare) {
+  const beforeMap = new Map(beforeList.map(item => [item[key], item]));
+  const afterMap = new Map(afterList.map(item => [item[key], item]));
+  for (const [id, before] of beforeMap) {
+    const subject = `${kind} ${id}`;
+    if (afterMap.has(id)) {
+      compare(subject, before, afterMap.get(id));
+    } else {
+      add('major', subject, '', `移除${kind}`);
+    }
+  }
+  for (const id of afterMap.keys()) {
+    if (!beforeMap.has(id)) add('minor', `${kind} ${id}`, '', `新增${kind}`);
+  }
+}
+
+// 名称、描述等只影响阅读的字段，变化记为patch
+function diffDescriptiveFields(before, after, fields, subject, prefix, add) {
+  for (const field of fields) {
+    if ((before[field] ?? '') !== (after[field] ?? '')) {
+      add('patch', subject, `${prefix}${field}`, `${formatDiffValue(before[field])} → ${formatDiffValue(after[field])}`);
+    }
+  }
+}
+
+/**
+ * 比较两个JSON Schema的兼容性。输入参数的限制收窄会拒绝原本合法的调用，为破坏性变更；
+ * 输出结构反过来，放宽（类型更多、字段可能缺失）会让依赖原结构的调用方出错
+ * @param {object} before - 基准版本的schema
+ * @param {object} after - 新版本的schema
+ * @param {object} options - {subject, path, direction, add, roots?, refs?}，direction为input或output；
+ *   roots为解析本地$ref用的两侧根schema（默认为before/after），refs为当前路径上已展开的$ref，用于终止递归引用
+ */
+function diffJsonSchema(before, after, { subject, path: schemaPath, direction, add, roots = { before, after }, refs = [] }) {
+  const narrowed = direction === 'input' ? 'major' : 'minor';
+  const widened = direction === 'input' ? 'minor' : 'major';
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+    if (!isDeepStrictEqual(before, after)) add('major', subject, schemaPath, `schema ${formatDiffValue(before)} → ${formatDiffValue(after)}，无法自动判断兼容性，请人工确认`);
+    return;
+  }
+
+  // 本地$ref展开为$defs/definitions中的定义再比较，共享定义的变化才能体现在引用处
+  if (before.$ref !== undefined || after.$ref !== undefined) {
+    const refPair = `${before.$ref ?? ''} → ${after.$ref ?? ''}`;
+    if (refs.includes(refPair)) return;
+    const resolvedBefore = resolveSchemaRef(before, roots.before);
+    const resolvedAfter = resolveSchemaRef(after, roots.after);
+    if (!resolvedBefore || !resolvedAfter) {
+      if (before.$ref !== after.$ref) add('major', subject, schemaPath, `$ref ${formatDiffValue(before.$ref)} → ${formatDiffValue(after.$ref)}，无法解析，请人工确认`);
+      return;
+    }
+    before = resolvedBefore;
+    after = resolvedAfter;
+    refs = [...refs, refPair];
+  }
+  const nested = (from, to, nestedPath) => diffJsonSchema(from, to, { subject, path: nestedPath, direction, add, roots, refs });
+
+  diffDescriptiveFields(before, after, ['title', 'description'], subject, `${schemaPath}.`, add);
+
+  // 类型：integer包含在number中，未声明type表示接受任意类型
+  const beforeTypes = before.type === undefined ? null : [].concat(before.type);
+  const afterTypes = after.type === undefined ? null : [].concat(after.type);
+  const accepts = (types, type) => types === null || types.includes(type) || (type === 'integer' && types.includes('number'));
+  const lostType = beforeTypes === null ? afterTypes !== null : beforeTypes.some(type => !accepts(afterTypes, type));
+  const gainedType = afterTypes === null ? beforeTypes !== null : afterTypes.some(type => !accepts(beforeTypes, type));
+  const typeChange = `${beforeTypes ? beforeTypes.join('|') : '任意'} → ${afterTypes ? afterTypes.join('|') : '任意'}`;
+  if (lostType && gainedType) {
+    add('major', subject, schemaPath, `类型变化: ${typeChange}`);
+  } else if (lostType) {
+    add(narrowed, subject, schemaPath, `类型收窄: ${typeChange}`);
+  } else if (gainedType) {
+    add(widened, subject, schemaPath, `类型放宽: ${typeChange}`);
+  }
+
+  // 枚举：const视为只有一个值的枚举
+  const enumOf = (schema) => schema.enum ?? (schema.const !== undefined ? [schema.const] : null);
+  const beforeEnum = enumOf(before);
+  const afterEnum = enumOf(after);
+  const includesValue = (values, value) => values.some(item => isDeepStrictEqual(item, value));
+  const listValues = (values) => values.map(value => formatDiffValue(value)).join(', ');
+  if (beforeEnum && afterEnum) {
+    const removed = beforeEnum.filter(value => !includesValue(afterEnum, value));
+    const added = afterEnum.filter(value => !includesValue(beforeEnum, value));
+    if (removed.length > 0) add(narrowed, subject, schemaPath, `枚举收窄，移除: ${listValues(removed)}`);
+    if (added.length > 0) add(widened, subject, schemaPath, `枚举放宽，新增: ${listValues(added)}`);
+  } else if (afterEnum) {
+    add(narrowed, subject, schemaPath, `新增枚举限制: ${listValues(afterEnum)}`);
+  } else if (beforeEnum) {
+    add(widened, subject, schemaPath, `取消枚举限制（原为 ${listValues(beforeEnum)}）`);
+  }
+
+  // 数值、长度、数量的上下限
+  for (const [keywords, tighter] of [[SCHEMA_LOWER_BOUNDS, (from, to) => to > from], [SCHEMA_UPPER_BOUNDS, (from, to) => to < from]]) {
+    for (const keyword of keywords) {
+      const from = typeof before[keyword] === 'number' ? before[keyword] : undefined;
+      const to = typeof after[keyword] === 'number' ? after[keyword] : undefined;
+      if (from === to) continue;
+      const message = `${keyword} ${formatDiffValue(from)} → ${formatDiffValue(to)}`;
+      if (to !== undefined && (from === undefined || tighter(from, to))) {
+        add(narrowed, subject, schemaPath, `限制收紧: ${message}`);
+      } else {
+        add(widened, subject, schemaPath, `限制放宽: ${message}`);
+      }
+    }
+  }
+  for (const keyword of ['pattern', 'format']) {
+    if (before[keyword] === after[keyword]) continue;
+    const message = `${keyword} ${formatDiffValue(before[keyword])} → ${formatDiffValue(after[keyword])}`;
+    add(after[keyword] === undefined ? widened : narrowed, subject, schemaPath, after[keyword] === undefined ? `限制放宽: ${message}` : `限制变化: ${message}`);
+  }
+
+  if (direction === 'input' && !isDeepStrictEqual(before.default, after.default)) {
+    add('minor', subject, schemaPath, `默认值 ${formatDiffValue(before.default)} → ${formatDiffValue(after.default)}，省略该参数的调用行为可能改变`);
+  }
+
+  // 组合关键字：分支数相同时按位置逐项比较，否则无法对应分支，保守地记为破坏性变更；
+  // not和外部$ref同样只能比较是否变化
+  for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+    const from = before[keyword];
+    const to = after[keyword];
+    if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+      from.forEach((branch, i) => nested(branch, to[i], `${schemaPath}.${keyword}[${i}]`));
+    } else if (!isDeepStrictEqual(from, to)) {
+      add('major', subject, schemaPath, `${keyword}变化，无法自动判断兼容性，请人工确认`);
+    }
+  }
+  for (const keyword of ['not', '$ref']) {
+    if (!isDeepStrictEqual(before[keyword], after[keyword])) {
+      add('major', subject, schemaPath, `${keyword}变化，无法自动判断兼容性，请人工确认`);
+    }
+  }
+
+  // 对象属性
+  const beforeProps = before.properties || {};
+  const afterProps = after.properties || {};
+  const beforeRequired = new Set(before.required || []);
+  const afterRequired = new Set(after.required || []);
+  for (const [name, propSchema] of Object.entries(beforeProps)) {
+    const propPath = `${schemaPath}.${name}`;
+    if (!(name in afterProps)) {
+      add('major', subject, propPath, direction === 'input' ? '移除参数，仍传入该参数的调用可能被拒绝或被忽略' : '移除字段');
+      continue;
+    }
+    if (direction === 'input') {
+      if (!beforeRequired.has(name) && afterRequired.has(name)) add('major', subject, propPath, '参数变为必需');
+      if (beforeRequired.has(name) && !afterRequired.has(name)) add('minor', subject, propPath, '参数变为可选');
+    } else {
+      if (beforeRequired.has(name) && !afterRequired.has(name)) add('major', subject, propPath, '字段变为可选，可能不再返回');
+      if (!beforeRequired.has(name) && afterRequired.has(name)) add('minor', subject, propPath, '字段变为必有');
+    }
+    nested(propSchema, afterProps[name], propPath);
+  }
+  for (const name of Object.keys(afterProps)) {
+    if (name in beforeProps) continue;
+    const propPath = `${schemaPath}.${name}`;
+    if (direction === 'input') {
+      add(afterRequired.has(name) ? 'major' : 'minor', subject, propPath, afterRequired.has(name) ? '新增必需参数' : '新增可选参数');
+    } else {
+      add('minor', subject, propPath, '新增字段');
+    }
+  }
+  if (direction === 'input' && before.additionalProperties !== false && after.additionalProperties === false) {
+    add('major', subject, schemaPath, '不再接受未声明的参数（additionalProperties: false）');
+  } else if (direction === 'input' && before.additionalProperties === false && after.additionalProperties !== false) {
+    add('minor', subject, schemaPath, '开始接受未声明的参数');
+  }
+
+  // 数组元素
+  if (before.items && after.items) {
+    nested(before.items, after.items, `${schemaPath}[]`);
+  } else if (after.items) {
+    add(narrowed, subject, `${schemaPath}[]`, '新增数组元素的schema限制');
+  } else if (before.items) {
+    add(widened, subject, `${schemaPath}[]`, '取消数组元素的schema限制');
+  }
+}
+
+// 展开本地$ref（#/$defs/...、#/definitions/...），与$ref并列的关键字覆盖被引用的定义；
+// 外部$ref原样返回，无法解析的本地$ref返回undefined
+function resolveSchemaRef(node, root) {
+  const seen = new Set();
+  while (typeof node?.$ref === 'string' && node.$ref.startsWith('#')) {
+    if (seen.has(node.$ref)) return undefined;
+    seen.add(node.$ref);
+    const { $ref, ...siblings } = node;
+    const target = $ref.slice(1).split('/').filter(Boolean)
+      .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((current, part) => current?.[part], root);
+    if (!target || typeof target !== 'object') return undefined;
+    node = { ...target, ...siblings };
+  }
+  return node;
+}
+
+// 按变更级别提升版本号，无法解析或没有变化时返回null
+function bumpVersion(version, level) {
+  const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+  if (!match || level === 'none') return null;
+  const [major, minor, patch] = match.slice(1).map(Number);
+  if (level === 'major') return `${major + 1}.0.0`;
+  if (level === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+// 两个版本号之间提升的级别（none、patch、minor、major），无法解析时返回null
+function compareVersions(from, to) {
+  const parse = (version) => /^(\d+)\.(\d+)\.(\d+)/.exec(version || '')?.slice(1).map(Number);
+  const a = parse(from);
+  const b = parse(to);
+  if (!a || !b) return null;
+  if (b[0] !== a[0]) return b[0] > a[0] ? 'major' : 'none';
+  if (b[1] !== a[1]) return b[1] > a[1] ? 'minor' : 'none';
+  return b[2] > a[2] ? 'patch' : 'none';
+}
+
+/**
+ * 按report_format输出报告，指定htmlFile时另外写入HTML报告
+ * @param {object} report - {format, title, markdown, data, cases, client, htmlFile}
+ *   cases为 [{name, status: 'passed'|'failed'|'skipped', time_ms?, message?, details?}]，用于junit/tap/html
+ * @returns {Promise<string>} 报告文本
+ */
+async function renderReport({ format = 'markdown', title, markdown, data, cases, client, htmlFile }) {
+  const stderr = client.getDiagnostics().stderr;
+  let htmlPath;
+  if (htmlFile) {
+    htmlPath = path.resolve(htmlFile);
+    await fs.mkdir(path.dirname(htmlPath), { recursive: true });
+    await fs.writeFile(htmlPath, formatHtmlReport(title, cases, data, stderr), 'utf-8');
+  }
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'junit':
+      return formatJUnitReport(title, cases, stderr);
+    case 'tap':
+      return formatTapReport(cases);
+    default:
+      return htmlPath ? `${markdown}\n\n📄 HTML报告已写入: \`${htmlPath}\`` : markdown;
+  }
+}
+
+// 统计用例状态和总耗时
+function summarizeReportCases(cases) {
+  return {
+    total: cases.length,
+    failed: cases.filter(c => c.status === 'failed').length,
+    skipped: cases.filter(c => c.status === 'skipped').length,
+    time_ms: cases.reduce((sum, c) => sum + (c.time_ms || 0), 0)
+  };
+}
+
+// XML转义，同时去掉XML 1.0不允许的控制字符
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// JUnit XML报告，目标服务器的stderr放在testsuite的system-err中
+function formatJUnitReport(title, cases, stderr = []) {
+  const summary = summarizeReportCases(cases);
+  const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+  const testcases = cases.map(c => {
+    let body = '';
+    if (c.status === 'failed') {
+      body = `\n      <failure message="${escapeXml(c.message || '失败')}">${escapeXml(c.details || c.message || '')}</failure>\n    `;
+    } else if (c.status === 'skipped') {
+      body = `\n      <skipped${c.message ? ` message="${escapeXml(c.message)}"` : ''}/>\n    `;
+    } else if (c.details) {
+      body = `\n      <system-out>${escapeXml(c.details)}</system-out>\n    `;
+    }
+    return `    <testcase name="${escapeXml(c.name)}" classname="${escapeXml(title)}" time="${seconds(c.time_ms)}">${body}</testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="mcp-tester" tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="${summary.skipped}" time="${seconds(summary.time_ms)}">
+  <testsuite name="${escapeXml(title)}" tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="${summary.skipped}" time="${seconds(summary.time_ms)}" timestamp="${new Date().toISOString()}">
+${testcases.join('\n')}${stderr.length > 0 ? `\n    <system-err>${escapeXml(stderr.join('\n'))}</system-err>` : ''}
+  </testsuite>
+</testsuites>`;
+}
+
+// TAP version 13报告，失败用例附带YAML诊断块
+function formatTapReport(cases) {
+  const lines = ['TAP version 13', `1..${cases.length}`];
+  cases.forEach((c, i) => {
+    const name = c.name.replace(/#/g, '\\#');
+    if (c.status === 'skipped') {
+      lines.push(`ok ${i + 1} - ${name} # SKIP${c.message ? ` ${c.message}` : ''}`);
+      return;
+    }
+    lines.push(`${c.status === 'passed' ? 'ok' : 'not ok'} ${i + 1} - ${name}`);
+    if (c.status === 'failed') {
+      const diagnostic = { message: c.message || '失败' };
+      if (c.time_ms !== undefined) diagnostic.duration_ms = c.time_ms;
+      if (c.details) diagnostic.details = c.details;
+      lines.push('  ---', ...YAML.stringify(diagnostic).trimEnd().split('\n').map(line => `  ${line}`), '  ...');
+    }
+  });
+  return lines.join('\n');
+}
+
+// 自包含的HTML报告（内联样式，无外部资源），包含用例表格、原始结果和stderr
+function formatHtmlReport(title, cases, data, stderr = []) {
+  const summary = summarizeReportCases(cases);
+  const escapeHtml = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const statusLabels = { passed: '✅ 通过', failed: '❌ 失败', skipped: '⏭️ 跳过' };
+  const rows = cases.map(c => `<tr class="${c.status}">
+<td>${escapeHtml(c.name)}</td>
+<td>${statusLabels[c.status]}</td>
+<td>${c.time_ms !== undefined ? `${c.time_ms}ms` : '-'}</td>
+<td>${escapeHtml(c.message || '')}${c.details ? `<details><summary>详情</summary><pre>${escapeHtml(c.details)}</pre></details>` : ''}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", "Microsoft YaHei", sans-serif; margin: 2em; color: #24292f; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+tr.failed { background: #ffebe9; }
+tr.skipped { color: #6e7781; }
+pre { background: #f6f8fa; padding: 8px; overflow-x: auto; white-space: pre-wrap; }
+.summary span { margin-right: 1.5em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="summary"><span>生成时间: ${new Date().toISOString()}</span><span>用例: ${summary.total}</span><span>通过: ${summary.total - summary.failed - summary.skipped}</span><span>失败: ${summary.failed}</span><span>跳过: ${summary.skipped}</span><span>耗时: ${summary.time_ms}ms</span></p>
+<p><strong>${summary.failed === 0 ? '✅ 全部通过' : '❌ 存在失败用例'}</strong></p>
+<table>
+<thead><tr><th>用例</th><th>状态</th><th>耗时</th><th>信息</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+${stderr.length > 0 ? `<h2>目标服务器stderr</h2>\n<pre>${escapeHtml(stderr.join('\n'))}</pre>\n` : ''}<details><summary>原始结果(JSON)</summary><pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre></details>
+</body>
+</html>
+`;
+}
+
+/**
+ * 命令行模式：把子命令转换为对应测试工具的参数，通过内存传输调用本服务器注册的工具，
+ * 报告打印到标准输出
+ * @param {string[]} argv - 命令行参数（不含node和脚本路径）
+ * @returns {Promise<number>} 退出码：0全部通过，1存在失败，2用法错误或执行出错
+ */
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        args: { type: 'string' },
+        server: { type: 'string' },
+        config: { type: 'string' },
+        tool: { type: 'string' },
+        format: { type: 'string' },
+        html: { type: 'string' },
+        header: { type: 'string', multiple: true },
+        transport: { type: 'string' },
+        timeout: { type: 'string' },
+        trace: { type: 'string' },
+        'protocol-version': { type: 'string' },
+        'log-level': { type: 'string' },
+        'stop-on-error': { type: 'boolean' },
+        'fail-on': { type: 'string' },
+        'stream-stderr': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean', short: 'v' }
+      }
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${CLI_USAGE}\n`);
+    return 2;
+  }
+
+  const { values: options, positionals: [command, ...rest] } = parsed;
+  if (options.version) {
+    process.stdout.write(`${PACKAGE_VERSION}\n`);
+    return 0;
+  }
+  if (options.help || !command) {
+    process.stdout.write(`${CLI_USAGE}\n`);
+    return 0;
+  }
+
+  let request;
+  try {
+    request = buildCliToolCall(command, rest, options);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${CLI_USAGE}\n`);
+    return 2;
+  }
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const cliClient = new Client({ name: 'mcp-tester-cli', version: PACKAGE_VERSION });
+  // --stream-stderr转发的目标服务器stderr写到本进程的stderr，不混入报告
+  cliClient.setNotificationHandler(LoggingMessageNotificationSchema, ({ params }) => {
+    process.stderr.write(`${typeof params.data === 'string' ? params.data : JSON.stringify(params.data)}\n`);
+  });
+
+  try {
+    await server.connect(serverTransport);
+    await cliClient.connect(clientTransport);
+    // 请求超时由各测试工具按request_timeout_ms自行控制，这里只设一个足够长的上限
+    const result = await cliClient.callTool({ name: request.tool, arguments: request.arguments }, undefined, { timeout: CLI_CALL_TIMEOUT_MS });
+    const text = (result.content || []).filter(item => item.type === 'text').map(item => item.text).join('\n');
+    if (result.isError) {
+      process.stderr.write(`${text}\n`);
+      return 2;
+    }
+    process.stdout.write(`${text}\n`);
+    return result._meta?.passed === false ? 1 : 0;
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 2;
+  } finally {
+    await cliClient.close();
+  }
+}
+
+// 把子命令和选项转换为 {tool, arguments}
+function buildCliToolCall(command, positionals, options) {
+  const target = (value) => {
+    if (options.config) return { server_name: value, server_config: options.config };
+    return /^https?:\/\//i.test(value) ? { server_url: value } : { server_command: value };
+  };
+  const common = {};
+  if (options.header) {
+    common.server_headers = Object.fromEntries(options.header.map(header => {
+      const separator = header.indexOf(':');
+      if (separator <= 0) throw new Error(`无效的--header: ${header}，格式应为 "名称: 值"`);
+      return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+    }));
+  }
+  if (options.transport) common.server_transport = options.transport;
+  if (options.timeout) common.request_timeout_ms = parseCliInteger('--timeout', options.timeout);
+  if (options.trace) common.trace_file = options.trace;
+  if (options['protocol-version']) common.protocol_version = options['protocol-version'];
+  if (options['stream-stderr']) common.stream_stderr = true;
+  const report = {};
+  if (options.format) report.report_format = options.format;
+  if (options.html) report.html_report_file = options.html;
+
+  // call和diff的结果不是用例列表，没有其他报告格式
+  if (['call', 'diff'].includes(command) && (options.format || options.html)) {
+    throw new Error(`${command} 不支持 --format 和 --html`);
+  }
+
+  const requirePositionals = (names) => {
+    if (positionals.length < names.length) {
+      throw new Error(`${command} 缺少参数: ${names.slice(positionals.length).map(n => `<${n}>`).join(' ')}`);
+    }
+  };
+
+  switch (command) {
+    case 'run': {
+      requirePositionals(['suite']);
+      return {
+        tool: 'run_test_suite',
+        arguments: {
+          ...common,
+          ...report,
+          suite_file: positionals[0],
+          ...(options.server ? target(options.server) : {}),
+          ...(options['log-level'] ? { log_level: options['log-level'] } : {}),
+          ...(options['stop-on-error'] ? { stop_on_error: true } : {})
+        }
+      };
+    }
+    case 'call': {
+      requirePositionals(['server', 'tool']);
+      let toolArguments = {};
+      if (options.args) {
+        try {
+          toolArguments = JSON.parse(options.args);
+        } catch (error) {
+          throw new Error(`--args 不是有效的JSON: ${error.message}`);
+        }
+      }
+      return {
+        tool: 'call_mcp_tool',
+        arguments: {
+          ...common,
+          ...target(positionals[0]),
+          tool_name: positionals[1],
+          tool_arguments: toolArguments,
+          ...(options['log-level'] ? { log_level: options['log-level'] } : {})
+        }
+      };
+    }
+    case 'inspect':
+      requirePositionals(['server']);
+      return { tool: 'test_mcp_server', arguments: { ...common, ...report, ...target(positionals[0]) } };
+    case 'validate':
+      requirePositionals(['server']);
+      return {
+        tool: 'validate_mcp_tools',
+        arguments: { ...common, ...report, ...target(positionals[0]), ...(options.tool ? { tool_name: options.tool } : {}) }
+      };
+    case 'diff': {
+      requirePositionals(['base', 'head']);
+      // 远程连接选项对两侧都生效
+      const side = (value) => ({ server_headers: common.server_headers, server_transport: common.server_transport, ...target(value) });
+      return {
+        tool: 'diff_servers',
+        arguments: {
+          ...common,
+          base: side(positionals[0]),
+          head: side(positionals[1]),
+          ...(options['fail-on'] ? { fail_on: options['fail-on'] } : {})
+        }
+      };
+    }
+    default:
+      throw new Error(`未知的子命令: ${command}`);
+  }
+}
+
+function parseCliInteger(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} 必须是正整数: ${value}`);
+  }
+  return number;
+}
+
+// 退出时关闭所有会话，避免遗留目标服务器进程
+process.on('exit', () => {
+  for (const session of sessions.values()) {
+    session.client.disconnect();
+  }
+});
+
+// 供test.js测试的纯函数
+export {
+  evaluateExpectations,
+  loadTestSuite,
+  queryJsonPath,
+  formatJUnitReport,
+  formatTapReport,
+  diffJsonSchema,
+  bumpVersion,
+  compareVersions,
+  validateInputSchema,
+  expandUriTemplate,
+  captureVariables,
+  resolveTemplates,
+  createSeededRandom,
+  shuffleWithRandom,
+  generateFuzzCases,
+  isSuspiciousFuzzOutcome,
+  summarizeResourceSamples,
+  analyzeMemoryGrowth,
+  linearRegression,
+  DEFAULT_SNAPSHOT_REDACTIONS,
+  normalizeSnapshotValue,
+  compileRedactionPattern,
+  redactSnapshotValue,
+  calculateLatencyStats,
+  loadServerConfig,
+  validateServerEntry,
+  resolveNamedServer,
+  loadTraceFile,
+  buildReplaySteps,
+  isIgnoredDiffPath
+};
+
+// 被其他模块导入（如test.js）时只提供导出，不启动服务器
+const isMainModule = Boolean(process.argv[1]) && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+  // 带子命令时以命令行模式运行，否则作为stdio MCP服务器启动
+  if (process.argv.length > 2) {
+    process.exit(await runCli(process.argv.slice(2)));
+  }
+
+  // 创建传输层并连接服务器
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+}
 //console.log("MCP Tester 已启动");
@@ -0,0 +1,648 @@
+// mcp-tester 纯函数的单元测试，运行: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  evaluateExpectations,
+  loadTestSuite,
+  queryJsonPath,
+  formatJUnitReport,
+  formatTapReport,
+  diffJsonSchema,
+  bumpVersion,
+  compareVersions,
+  validateInputSchema,
+  expandUriTemplate,
+  captureVariables,
+  resolveTemplates,
+  createSeededRandom,
+  shuffleWithRandom,
+  generateFuzzCases,
+  isSuspiciousFuzzOutcome,
+  summarizeResourceSamples,
+  analyzeMemoryGrowth,
+  linearRegression,
+  DEFAULT_SNAPSHOT_REDACTIONS,
+  normalizeSnapshotValue,
+  compileRedactionPattern,
+  redactSnapshotValue,
+  calculateLatencyStats,
+  loadServerConfig,
+  validateServerEntry,
+  resolveNamedServer,
+  loadTraceFile,
+  buildReplaySteps,
+  isIgnoredDiffPath
+} from './index.js';
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-tester-test-'));
+test.after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+// 把套件写入临时文件并加载
+async function loadSuite(suite, name = 'suite.json') {
+  const file = path.join(tmpDir, name);
+  await fs.writeFile(file, JSON.stringify(suite));
+  return loadTestSuite(file);
+}
+
+const textResponse = (text, extra = {}) => ({ content: [{ type: 'text', text }], ...extra });
+
+test('evaluateExpectations: 文本、isError和耗时断言', () => {
+  const caseResult = { response: textResponse('hello 42'), execution_time: 10 };
+  const assertions = evaluateExpectations({ text_matches: '\\d+', isError: false, max_latency_ms: 5 }, caseResult);
+  assert.deepEqual(assertions.map(a => a.passed), [true, true, false]);
+});
+
+test('evaluateExpectations: equals、subset和jsonpath作用于解析后的JSON文本', () => {
+  const caseResult = { response: textResponse('{"id": 1, "tags": ["a", "b"]}') };
+  assert.ok(evaluateExpectations({ equals: { id: 1, tags: ['a', 'b'] } }, caseResult).every(a => a.passed));
+  assert.ok(evaluateExpectations({ subset: { id: 1 } }, caseResult).every(a => a.passed));
+  const [jsonpath] = evaluateExpectations({ jsonpath: { '$.tags[1]': 'c' } }, caseResult);
+  assert.equal(jsonpath.passed, false);
+  assert.deepEqual(jsonpath.diffs, [{ path: '$.tags[1]', expected: 'c', actual: 'b' }]);
+});
+
+test('evaluateExpectations: 请求失败时只有error_matches能通过', () => {
+  assert.equal(evaluateExpectations({ error_matches: 'not found' }, { error: 'tool not found' })[0].passed, true);
+  assert.equal(evaluateExpectations({ text_matches: '.' }, { error: 'boom' })[0].passed, false);
+  assert.equal(evaluateExpectations({ error_matches: 'x' }, { response: textResponse('ok') })[0].passed, false);
+});
+
+test('evaluateExpectations: 非空expect没有产生断言时失败', () => {
+  const assertions = evaluateExpectations({ jsonpath: {} }, { response: textResponse('x') });
+  assert.equal(assertions.length, 1);
+  assert.equal(assertions[0].passed, false);
+  assert.deepEqual(evaluateExpectations({}, { response: textResponse('x') }), []);
+});
+
+test('loadTestSuite: 拒绝未知的expect键', async () => {
+  await assert.rejects(loadSuite({ cases: [{ tool: 'echo', expect: { text_regex: 'nope' } }] }), /未知的断言: text_regex/);
+});
+
+test('loadTestSuite: 拒绝类型错误的expect值', async () => {
+  const invalid = [
+    { isError: 'false' },
+    { text_matches: 1 },
+    { error_matches: '(' },
+    { max_latency_ms: '100' },
+    { jsonpath: ['$.a'] },
+    { progress: { min_count: 'x' } },
+    { notifications: [{ match: 'x' }] }
+  ];
+  for (const expect of invalid) {
+    await assert.rejects(loadSuite({ cases: [{ tool: 'echo', expect }] }), /expect\.\w+必须是/, JSON.stringify(expect));
+  }
+});
+
+test('loadTestSuite: 接受合法的expect和变量引用', async () => {
+  const suite = await loadSuite({
+    cases: [
+      { id: 'a', tool: 'echo', expect: { isError: false, text_matches: '^x$', max_latency_ms: 100, progress: true, notifications: [{ method: 'notifications/message' }] } },
+      { tool: 'echo', expect: { max_latency_ms: '{{limit}}', equals: '{{a.value}}' } }
+    ]
+  }, 'valid.yaml');
+  assert.equal(suite.cases.length, 2);
+});
+
+test('loadTestSuite: 拒绝缺少tool和重复id的用例', async () => {
+  await assert.rejects(loadSuite({ cases: [{ name: 'x' }] }), /缺少tool字段/);
+  await assert.rejects(loadSuite({ cases: [{ id: 'a', tool: 'x' }, { id: 'a', tool: 'y' }] }), /用例id重复/);
+});
+
+test('queryJsonPath: 键、下标、通配符和递归查找', () => {
+  const data = { items: [{ id: 1, meta: { id: 'm1' } }, { id: 2 }], 'a b': true };
+  assert.equal(queryJsonPath(data, '$.items[1].id'), 2);
+  assert.equal(queryJsonPath(data, "$['a b']"), true);
+  assert.deepEqual(queryJsonPath(data, '$.items[*].id'), [1, 2]);
+  assert.deepEqual(queryJsonPath(data, '$..id'), [1, 'm1', 2]);
+  assert.equal(queryJsonPath(data, '$.missing.id'), undefined);
+});
+
+test('captureVariables: 按JSONPath和正则提取变量', () => {
+  const outcome = { response: { content: [{ type: 'text', text: 'created' }], structuredContent: { item: { id: 42 } } } };
+  assert.deepEqual(captureVariables({ id: '$.item.id', full: { jsonpath: '$.item' } }, outcome), {
+    values: { id: 42, full: { id: 42 } },
+    errors: []
+  });
+
+  const text = { response: textResponse('order #123 ok') };
+  assert.deepEqual(captureVariables({ order: { regex: '#(\\d+)' }, word: { regex: 'o\\w' } }, text).values, { order: '123', word: 'or' });
+
+  const missing = captureVariables({ nope: '$.missing', bad: {} }, text);
+  assert.deepEqual(missing.values, {});
+  assert.equal(missing.errors.length, 2);
+  assert.match(captureVariables({ id: '$.id' }, { error: 'boom' }).errors[0], /调用失败/);
+});
+
+test('resolveTemplates: 整体引用保留类型，嵌入引用按文本插入', () => {
+  const variables = { create: { id: 7, tags: ['a'] }, name: 'x' };
+  assert.deepEqual(resolveTemplates({
+    id: '{{create.id}}',
+    path: '/items/{{ create.id }}/{{name}}',
+    list: ['{{create.tags}}', 'tags={{create.tags}}'],
+    keep: 3
+  }, variables), {
+    id: 7,
+    path: '/items/7/x',
+    list: [['a'], 'tags=["a"]'],
+    keep: 3
+  });
+  assert.throws(() => resolveTemplates('{{create.missing}}', variables), /未定义的变量 \{\{create\.missing\}\}/);
+});
+
+test('resolveTemplates: 指定declared时只替换声明过的变量，其余文本原样保留', () => {
+  const declared = new Set(['create']);
+  assert.deepEqual(resolveTemplates({ template: 'Hello {{name}}', id: '{{create.id}}', raw: '{{name}}' }, { create: { id: 7 } }, declared), {
+    template: 'Hello {{name}}',
+    id: 7,
+    raw: '{{name}}'
+  });
+  assert.deepEqual(resolveTemplates({ template: 'Hello {{name}}' }, {}, new Set()), { template: 'Hello {{name}}' });
+  assert.throws(() => resolveTemplates('{{create.id}}', {}, declared), /未定义的变量/);
+});
+
+const fuzzTool = {
+  name: 'search',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', minLength: 2, maxLength: 10 },
+      limit: { type: 'integer', minimum: 1, maximum: 50 },
+      mode: { type: 'string', enum: ['fast', 'full'] },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 3 }
+    },
+    required: ['query'],
+    additionalProperties: false
+  }
+};
+
+test('createSeededRandom和shuffleWithRandom: 相同种子得到相同序列', () => {
+  const sequence = (seed) => Array.from({ length: 5 }, createSeededRandom(seed));
+  assert.deepEqual(sequence(42), sequence(42));
+  assert.notDeepEqual(sequence(42), sequence(43));
+  assert.ok(sequence(7).every(value => value >= 0 && value < 1));
+
+  const items = Array.from({ length: 20 }, (_, i) => i);
+  const shuffled = shuffleWithRandom(items, createSeededRandom(1));
+  assert.deepEqual(shuffled, shuffleWithRandom(items, createSeededRandom(1)));
+  assert.deepEqual([...shuffled].sort((a, b) => a - b), items);
+  assert.deepEqual(items, Array.from({ length: 20 }, (_, i) => i));
+});
+
+test('generateFuzzCases: 相同种子生成相同用例', () => {
+  assert.deepEqual(generateFuzzCases(fuzzTool, createSeededRandom(42)), generateFuzzCases(fuzzTool, createSeededRandom(42)));
+});
+
+test('generateFuzzCases: 按schema类型生成边界、枚举越界和缺少必需字段的用例', () => {
+  const cases = generateFuzzCases(fuzzTool, createSeededRandom(42));
+  const find = (description) => {
+    const found = cases.find(c => c.description === description);
+    assert.ok(found, `缺少用例: ${description}`);
+    return found;
+  };
+
+  assert.equal(find('示例参数').expectValid, true);
+  const missing = find('缺少必需字段 query');
+  assert.equal(missing.category, 'missing_required');
+  assert.equal(missing.expectValid, false);
+  assert.ok(!('query' in missing.args));
+  assert.equal(find('空参数对象').expectValid, false);
+
+  assert.deepEqual([find('limit = minimum (1)'), find('limit = minimum - 1'), find('limit = maximum (50)'), find('limit = maximum + 1')]
+    .map(c => [c.args.limit, c.expectValid]), [[1, true], [0, false], [50, true], [51, false]]);
+  assert.equal(find('limit 为小数').category, 'wrong_type');
+
+  assert.deepEqual([find('query 长度 = minLength - 1'), find('query 长度 = maxLength + 1')].map(c => [c.args.query.length, c.expectValid]), [[1, false], [11, false]]);
+  assert.equal(find('query 长度 = maxLength (10)').expectValid, true);
+
+  const enumCase = find('mode 不在枚举中');
+  assert.equal(enumCase.category, 'enum_violation');
+  assert.equal(enumCase.args.mode, 'fast_invalid');
+  assert.ok(!cases.some(c => c.description === 'mode 为空字符串'));
+
+  assert.equal(find('tags 元素数 = maxItems + 1').args.tags.length, 4);
+  assert.equal(find('tags 为空数组').expectValid, true);
+  assert.equal(find('包含未声明的额外字段').expectValid, false);
+  assert.ok(cases.filter(c => c.category === 'wrong_type' && c.description.startsWith('query')).every(c => !c.expectValid));
+});
+
+test('isSuspiciousFuzzOutcome: 崩溃、挂起、接受无效输入和拒绝有效边界输入', () => {
+  assert.equal(isSuspiciousFuzzOutcome({ outcome: 'crash', expectValid: true }), '服务器崩溃');
+  assert.equal(isSuspiciousFuzzOutcome({ outcome: 'hang', expectValid: false }), '服务器无响应');
+  assert.equal(isSuspiciousFuzzOutcome({ outcome: 'success', expectValid: false }), '接受了无效输入');
+  assert.equal(isSuspiciousFuzzOutcome({ outcome: 'jsonrpc_error', expectValid: true, category: 'boundary' }), '拒绝了有效的边界输入');
+  assert.equal(isSuspiciousFuzzOutcome({ outcome: 'jsonrpc_error', expectValid: true, category: 'baseline' }), null);
+  assert.equal(isSuspiciousFuzzOutcome({ outcome: 'jsonrpc_error', expectValid: false, category: 'wrong_type' }), null);
+  assert.equal(isSuspiciousFuzzOutcome({ outcome: 'success', expectValid: true, category: 'boundary' }), null);
+});
+
+test('linearRegression: 斜率、截距和R²', () => {
+  const line = linearRegression([1, 2, 3, 4].map(x => ({ x, y: 2 * x + 3 })));
+  assert.deepEqual(line, { slope: 2, intercept: 3, r2: 1 });
+  assert.deepEqual(linearRegression([{ x: 1, y: 5 }, { x: 2, y: 5 }]), { slope: 0, intercept: 5, r2: 0 });
+  assert.equal(linearRegression([{ x: 1, y: 1 }]), null);
+  assert.equal(linearRegression([{ x: 1, y: 1 }, { x: 1, y: 2 }]), null);
+});
+
+// 合成的soak样本：每个样本间隔100次调用
+const MB = 1024 * 1024;
+const soakSamples = (rssAt) => Array.from({ length: 30 }, (_, i) => ({ calls: i * 100, rss_bytes: rssAt(i) }));
+
+test('analyzeMemoryGrowth: 平稳、线性泄漏和GC锯齿', () => {
+  const flat = analyzeMemoryGrowth(soakSamples(() => 50 * MB));
+  assert.equal(flat.regression.slope, 0);
+  assert.equal(flat.floorPerCall, 0);
+  assert.equal(flat.baselineReliable, false);
+
+  // 每次调用增长2000字节且从不回收：没有回收后的基线，只能依靠回归
+  const leak = analyzeMemoryGrowth(soakSamples(i => 50 * MB + i * 100 * 2000));
+  assert.ok(Math.abs(leak.regression.slope - 2000) < 1e-6);
+  assert.ok(leak.regression.r2 > 0.999);
+  assert.equal(leak.baselineReliable, false);
+
+  // 每5个样本回收一次，回收后回到同一基线：拟合有正斜率，但基线没有增长
+  const sawtooth = analyzeMemoryGrowth(soakSamples(i => 50 * MB + (i % 5) * 0.3 * MB));
+  assert.equal(sawtooth.baselineReliable, true);
+  assert.equal(sawtooth.floorPerCall, 0);
+
+  // 回收后的基线每次调用增长50字节
+  const growingFloor = analyzeMemoryGrowth(soakSamples(i => 50 * MB + i * 100 * 50 + (i % 5) * 0.3 * MB));
+  assert.equal(growingFloor.baselineReliable, true);
+  assert.equal(growingFloor.floorPerCall, 50);
+
+  assert.equal(analyzeMemoryGrowth(soakSamples(() => MB).slice(0, 5)), null);
+});
+
+test('summarizeResourceSamples: 起止、峰值和CPU占用', () => {
+  assert.equal(summarizeResourceSamples([]), null);
+  const summary = summarizeResourceSamples([
+    { time: 1000, rss_bytes: 10, fds: 5, cpu_ms: 100 },
+    { time: 2000, rss_bytes: 30, fds: 9, cpu_ms: 300 },
+    { time: 3000, rss_bytes: 20, fds: 6, cpu_ms: 600 }
+  ]);
+  assert.deepEqual(summary, {
+    samples: 3,
+    duration_ms: 2000,
+    rss: { start: 10, end: 20, peak: 30 },
+    fds: { start: 5, end: 6, peak: 9 },
+    cpu_ms: 500,
+    cpu_percent: 25
+  });
+});
+
+test('normalizeSnapshotValue: JSON文本按JSON保存，调用失败只保留错误码和消息', () => {
+  assert.deepEqual(normalizeSnapshotValue({
+    response: { content: [{ type: 'text', text: '{"a":1}' }, { type: 'text', text: 'plain' }, { type: 'image', data: 'x', mimeType: 'image/png' }], structuredContent: { a: 1 } }
+  }), {
+    isError: false,
+    content: [{ type: 'text', json: { a: 1 } }, { type: 'text', text: 'plain' }, { type: 'image', data: 'x', mimeType: 'image/png' }],
+    structuredContent: { a: 1 }
+  });
+  assert.deepEqual(normalizeSnapshotValue({ error: { code: -32602, message: 'bad', data: { stack: 'x' } } }), {
+    error: { code: -32602, message: 'bad' }
+  });
+});
+
+test('redactSnapshotValue: 内置规则、JSONPath和正则脱敏', () => {
+  const value = {
+    content: [{ type: 'text', json: { id: 'A1', items: [{ id: 'B2' }], note: 'Token abc, token def' } }],
+    structuredContent: {
+      created: '2024-05-01T12:00:00.123Z',
+      ids: ['123E4567-E89B-12D3-A456-426614174000', '123e4567-e89b-12d3-a456-426614174001']
+    }
+  };
+  const redacted = redactSnapshotValue(value, {
+    paths: ['$..id'],
+    patterns: [...DEFAULT_SNAPSHOT_REDACTIONS, { pattern: 'token \\w+', replacement: '[TOKEN]', flags: 'i' }].map(compileRedactionPattern)
+  });
+  assert.deepEqual(redacted, {
+    content: [{ type: 'text', json: { id: '[REDACTED]', items: [{ id: '[REDACTED]' }], note: '[TOKEN], [TOKEN]' } }],
+    structuredContent: { created: '[TIMESTAMP]', ids: ['[UUID]', '[UUID]'] }
+  });
+  assert.equal(value.content[0].json.id, 'A1');
+});
+
+test('compileRedactionPattern: 总会加上g标志', () => {
+  assert.equal(compileRedactionPattern({ pattern: 'a', flags: 'i' }).regex.flags, 'gi');
+  assert.equal(compileRedactionPattern({ pattern: 'a', flags: 'gi' }).regex.flags, 'gi');
+  assert.deepEqual(compileRedactionPattern({ pattern: 'a' }), { regex: /a/g, replacement: '[REDACTED]' });
+});
+
+test('calculateLatencyStats: nearest-rank百分位', () => {
+  const latencies = shuffleWithRandom(Array.from({ length: 100 }, (_, i) => i + 1), createSeededRandom(3));
+  assert.deepEqual(calculateLatencyStats(latencies), { min: 1, max: 100, mean: 50.5, p50: 50, p90: 90, p99: 99 });
+  assert.deepEqual(calculateLatencyStats([30, 10, 20]), { min: 10, max: 30, mean: 20, p50: 20, p90: 30, p99: 30 });
+  assert.equal(calculateLatencyStats([]), null);
+});
+
+test('formatJUnitReport: 统计失败和跳过，转义特殊字符', () => {
+  const xml = formatJUnitReport('套件 <a>', [
+    { name: 'ok', status: 'passed', time_ms: 1500 },
+    { name: 'bad "x"', status: 'failed', message: 'a & b', details: '<detail>' },
+    { name: 'skip', status: 'skipped', message: '跳过' }
+  ], ['stderr行']);
+  assert.match(xml, /<testsuites name="mcp-tester" tests="3" failures="1" errors="0" skipped="1" time="1\.500">/);
+  assert.match(xml, /<testcase name="bad &quot;x&quot;" classname="套件 &lt;a&gt;" time="0\.000">/);
+  assert.match(xml, /<failure message="a &amp; b">&lt;detail&gt;<\/failure>/);
+  assert.match(xml, /<skipped message="跳过"\/>/);
+  assert.match(xml, /<system-err>stderr行<\/system-err>/);
+});
+
+test('formatTapReport: 失败用例带诊断块，跳过用例标记SKIP', () => {
+  const tap = formatTapReport([
+    { name: 'a', status: 'passed' },
+    { name: 'b', status: 'failed', message: 'boom' },
+    { name: 'c', status: 'skipped' }
+  ]).split('\n');
+  assert.deepEqual(tap.slice(0, 4), ['TAP version 13', '1..3', 'ok 1 - a', 'not ok 2 - b']);
+  assert.ok(tap.includes('  message: boom'));
+  assert.equal(tap.at(-1), 'ok 3 - c # SKIP');
+});
+
+test('validateInputSchema: 元模式、required、enum/default和$ref检查', () => {
+  const tool = (inputSchema, description = '工具') => ({ name: 't', description, inputSchema });
+  assert.deepEqual(validateInputSchema(tool({ type: 'object', properties: { x: { type: 'string', description: 'x' } }, required: ['x'] })), []);
+
+  const findings = validateInputSchema(tool({ type: 'object', properties: { x: { type: 'string' } }, required: ['y'] }, ''));
+  assert.deepEqual(findings.map(f => [f.severity, f.path]), [
+    ['warning', 'description'],
+    ['error', 'inputSchema.required'],
+    ['warning', 'inputSchema.properties.x']
+  ]);
+
+  const defaults = validateInputSchema(tool({
+    type: 'object',
+    properties: { mode: { description: 'm', enum: ['a'], default: 'b' }, count: { description: 'n', type: 'integer', default: 'z' } }
+  }));
+  assert.deepEqual(defaults.map(f => f.path), ['inputSchema.properties.mode.default', 'inputSchema.properties.count.default']);
+
+  assert.match(validateInputSchema(tool({ type: 'object', properties: { r: { $ref: '#/$defs/Missing' } } }))[0].message, /无法解析的\$ref/);
+  assert.ok(validateInputSchema(tool({ type: 'objekt' })).some(f => /元模式/.test(f.message)));
+});
+
+test('expandUriTemplate: RFC 6570各运算符和缺省变量', () => {
+  const values = { path: 'a/b c', q: 'x&y', id: 7 };
+  assert.equal(expandUriTemplate('file:///{path}', values).uri, 'file:///a%2Fb%20c');
+  assert.equal(expandUriTemplate('file:///{+path}', values).uri, 'file:///a/b%20c');
+  assert.equal(expandUriTemplate('doc{#path}', values).uri, 'doc#a/b%20c');
+  assert.equal(expandUriTemplate('api{/id,q}', values).uri, 'api/7/x%26y');
+  assert.equal(expandUriTemplate('file{.id}', values).uri, 'file.7');
+  assert.equal(expandUriTemplate('m{;id}', values).uri, 'm;id=7');
+  assert.equal(expandUriTemplate('search{?q,id}{&path}', values).uri, 'search?q=x%26y&id=7&path=a%2Fb%20c');
+
+  const expanded = expandUriTemplate('users://{userId}/{name:3}{?tags*}');
+  assert.equal(expanded.uri, 'users://1/example_name?tags=example_tags');
+  assert.deepEqual(expanded.values, { userId: '1', name: 'example_name', tags: 'example_tags' });
+});
+
+// 把mcpServers配置写入临时目录下的子目录
+async function writeServerConfig(name, config) {
+  const dir = path.join(tmpDir, name);
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, 'servers.json');
+  await fs.writeFile(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return file;
+}
+
+test('loadServerConfig和resolveNamedServer: stdio条目的cwd按配置文件目录解析，url条目识别sse', async () => {
+  const configPath = await writeServerConfig('config-basic', {
+    mcpServers: {
+      local: { command: 'node', args: ['server.js'], env: { MODE: 'test' }, cwd: '../work' },
+      plain: { command: 'node' },
+      events: { type: 'sse', url: 'http://localhost:1/sse', headers: { Authorization: 'Bearer x' } },
+      events2: { transport: 'sse', url: 'http://localhost:1/sse' },
+      remote: { type: 'streamable-http', url: 'http://localhost:1/mcp' },
+      other: { someClientOnly: true }
+    }
+  });
+  assert.deepEqual(Object.keys(await loadServerConfig(configPath)), ['local', 'plain', 'events', 'events2', 'remote', 'other']);
+
+  assert.deepEqual(await resolveNamedServer('local', configPath), {
+    command: 'node',
+    args: ['server.js'],
+    env: { MODE: 'test' },
+    cwd: path.join(tmpDir, 'work')
+  });
+  assert.deepEqual(await resolveNamedServer('plain', configPath), { command: 'node', args: [], env: undefined, cwd: undefined });
+  assert.deepEqual(await resolveNamedServer('events', configPath), {
+    url: 'http://localhost:1/sse',
+    headers: { Authorization: 'Bearer x' },
+    transport: 'sse'
+  });
+  assert.equal((await resolveNamedServer('events2', configPath)).transport, 'sse');
+  assert.equal((await resolveNamedServer('remote', configPath)).transport, 'http');
+
+  // 其他条目无效不影响使用，选中无效条目或不存在的名称时报错
+  await assert.rejects(resolveNamedServer('other', configPath), /必须包含command或url/);
+  await assert.rejects(resolveNamedServer('missing', configPath), /没有名为 missing 的服务器。可用的服务器: local, plain/);
+  await assert.rejects(resolveNamedServer('local', undefined), /MCP_SERVERS_CONFIG/);
+});
+
+test('loadServerConfig和validateServerEntry: 拒绝无效的配置', async () => {
+  await assert.rejects(loadServerConfig(await writeServerConfig('config-invalid-json', '{')), /无法读取服务器配置文件/);
+  await assert.rejects(loadServerConfig(await writeServerConfig('config-no-servers', { servers: {} })), /缺少mcpServers对象/);
+  await assert.rejects(loadServerConfig(await writeServerConfig('config-array', { mcpServers: [] })), /缺少mcpServers对象/);
+
+  const invalid = [
+    [null, /必须是对象/],
+    [{ args: [] }, /必须包含command或url/],
+    [{ command: 'node', args: 'server.js' }, /args必须是字符串数组/],
+    [{ command: 'node', args: [1] }, /args必须是字符串数组/],
+    [{ command: 'node', env: { PORT: 3000 } }, /env必须是值为字符串的对象/],
+    [{ url: 'http://x', headers: 'x' }, /headers必须是值为字符串的对象/],
+    [{ command: 'node', cwd: 1 }, /cwd必须是字符串/]
+  ];
+  for (const [entry, message] of invalid) {
+    assert.throws(() => validateServerEntry('bad', entry), message, JSON.stringify(entry));
+  }
+  assert.doesNotThrow(() => validateServerEntry('ok', { command: 'node', args: ['a'], env: { A: '1' }, cwd: '.' }));
+});
+
+test('loadTraceFile和buildReplaySteps: 按initialize分段配对请求和响应', async () => {
+  const out = (message) => ({ direction: 'out', transport: 'stdio', message });
+  const inbound = (message) => ({ direction: 'in', transport: 'stdio', message });
+  const initialize = (id) => out({ jsonrpc: '2.0', id, method: 'initialize', params: { protocolVersion: '2024-11-05' } });
+  const frames = [
+    initialize(1),
+    inbound({ jsonrpc: '2.0', id: 1, result: { serverInfo: { name: 's', version: '1' } } }),
+    out({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+    out({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'crash' } }),
+    // 服务器发来的请求和客户端的应答不回放
+    inbound({ jsonrpc: '2.0', id: 'srv-1', method: 'roots/list' }),
+    out({ jsonrpc: '2.0', id: 'srv-1', result: { roots: [] } }),
+    { direction: 'out', transport: 'stdio', raw: '{not json' },
+    // 服务器崩溃后重新连接，请求id从头开始，不能与上一段的id 2配对
+    initialize(1),
+    inbound({ jsonrpc: '2.0', id: 1, result: { serverInfo: { name: 's', version: '1' } } }),
+    out([{ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { jsonrpc: '2.0', id: 3, method: 'ping' }]),
+    inbound([{ jsonrpc: '2.0', id: 3, result: {} }, { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'nope', data: {} } }])
+  ];
+  const file = path.join(tmpDir, 'trace.jsonl');
+  await fs.writeFile(file, `${frames.map(frame => JSON.stringify(frame)).join('\n')}\nnot json\n\n`);
+
+  const loaded = await loadTraceFile(file);
+  assert.equal(loaded.frames.length, frames.length);
+  assert.equal(loaded.invalidLines, 1);
+
+  const { steps, skipped } = buildReplaySteps(loaded.frames);
+  assert.equal(skipped, 2);
+  assert.deepEqual(steps.map(step => [step.method, step.notification, step.expected]), [
+    ['initialize', false, { result: { serverInfo: { name: 's', version: '1' } } }],
+    ['notifications/initialized', true, undefined],
+    ['tools/call', false, undefined],
+    ['initialize', false, { result: { serverInfo: { name: 's', version: '1' } } }],
+    ['tools/list', false, { error: { code: -32601, message: 'nope' } }],
+    ['ping', false, { result: {} }]
+  ]);
+
+  await assert.rejects(loadTraceFile(path.join(tmpDir, 'missing.jsonl')), /无法读取协议记录文件/);
+});
+
+test('isIgnoredDiffPath: 忽略路径本身及其子路径', () => {
+  const ignore = ['$.result.serverInfo.version', '$.error.message', '$.result.items'];
+  assert.ok(isIgnoredDiffPath('$.result.serverInfo.version', ignore));
+  assert.ok(isIgnoredDiffPath('$.result.items[0].id', ignore));
+  assert.ok(isIgnoredDiffPath('$.result.items.length', ignore));
+  assert.ok(!isIgnoredDiffPath('$.result.itemsCount', ignore));
+  assert.ok(!isIgnoredDiffPath('$.error.code', ignore));
+  assert.ok(!isIgnoredDiffPath('$.result', []));
+});
+
+// 收集diffJsonSchema报告的变更
+function diffSchemas(before, after, direction = 'input') {
+  const changes = [];
+  diffJsonSchema(before, after, {
+    subject: '工具 t',
+    path: 'inputSchema',
+    direction,
+    add: (level, subject, changePath, message) => changes.push({ level, path: changePath, message })
+  });
+  return changes;
+}
+
+test('diffJsonSchema: 输入收窄为major，放宽为minor，输出方向相反', () => {
+  const before = { type: 'object', properties: { mode: { type: 'string', enum: ['a', 'b'] }, limit: { type: 'integer' } } };
+  const after = { type: 'object', properties: { mode: { type: 'string', enum: ['a'] }, limit: { type: 'number' }, tag: { type: 'string' } }, required: ['tag'] };
+  assert.deepEqual(diffSchemas(before, after).map(c => [c.level, c.path]), [
+    ['major', 'inputSchema.mode'],
+    ['minor', 'inputSchema.limit'],
+    ['major', 'inputSchema.tag']
+  ]);
+  assert.deepEqual(diffSchemas(before, after, 'output').map(c => [c.level, c.path]), [
+    ['minor', 'inputSchema.mode'],
+    ['major', 'inputSchema.limit'],
+    ['minor', 'inputSchema.tag']
+  ]);
+  assert.deepEqual(diffSchemas(before, structuredClone(before)), []);
+});
+
+test('diffJsonSchema: 展开本地$ref比较共享定义的变化', () => {
+  const withAddress = (address) => ({
+    type: 'object',
+    properties: { home: { $ref: '#/$defs/Address' } },
+    $defs: { Address: address }
+  });
+  const changes = diffSchemas(
+    withAddress({ type: 'object', properties: { city: { type: 'string' } } }),
+    withAddress({ type: 'object', properties: { city: { type: 'string', enum: ['x'] }, zip: { type: 'string' } }, required: ['zip'] })
+  );
+  assert.deepEqual(changes.map(c => [c.level, c.path, c.message]), [
+    ['major', 'inputSchema.home.city', '新增枚举限制: "x"'],
+    ['major', 'inputSchema.home.zip', '新增必需参数']
+  ]);
+
+  // 递归引用不会无限展开；anyOf分支中的$ref同样会展开
+  const tree = (type) => ({
+    $ref: '#/definitions/Node',
+    definitions: { Node: { type: 'object', properties: { value: { anyOf: [{ type }, { type: 'null' }] }, children: { type: 'array', items: { $ref: '#/definitions/Node' } } } } }
+  });
+  assert.deepEqual(diffSchemas(tree('string'), tree('string')), []);
+  assert.deepEqual(diffSchemas(tree('string'), tree('number')).map(c => c.path), ['inputSchema.value.anyOf[0]']);
+
+  assert.match(diffSchemas({ $ref: '#/$defs/A' }, { $ref: '#/$defs/B' })[0].message, /无法解析/);
+});
+
+test('bumpVersion和compareVersions: 语义化版本的提升级别', () => {
+  assert.equal(bumpVersion('1.2.3', 'major'), '2.0.0');
+  assert.equal(bumpVersion('1.2.3', 'minor'), '1.3.0');
+  assert.equal(bumpVersion('1.2.3-beta.1', 'patch'), '1.2.4');
+  assert.equal(bumpVersion('1.2.3', 'none'), null);
+  assert.equal(bumpVersion('dev', 'major'), null);
+  assert.equal(compareVersions('1.2.3', '2.0.0'), 'major');
+  assert.equal(compareVersions('1.2.3', '1.3.0'), 'minor');
+  assert.equal(compareVersions('1.2.3', '1.2.4'), 'patch');
+  assert.equal(compareVersions('1.2.3', '1.2.3'), 'none');
+  assert.equal(compareVersions('2.0.0', '1.9.9'), 'none');
+  assert.equal(compareVersions('1.2.3', 'latest'), null);
+});
+
+// 命令行模式：以本工具自身作为目标服务器，检查退出码
+const indexPath = fileURLToPath(new URL('./index.js', import.meta.url));
+const selfServer = `node "${indexPath}"`;
+function runCliProcess(...args) {
+  const result = spawnSync(process.execPath, [indexPath, ...args], { encoding: 'utf-8', timeout: 60000 });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('CLI: 帮助、版本和用法错误', () => {
+  assert.equal(runCliProcess('--help').code, 0);
+  assert.match(runCliProcess('--version').stdout, /^\d+\.\d+\.\d+/);
+  assert.equal(runCliProcess('bogus').code, 2);
+  assert.equal(runCliProcess('call', selfServer).code, 2);
+  assert.equal(runCliProcess('call', selfServer, 'list_sessions', '--format', 'junit').code, 2);
+});
+
+test('CLI: call成功时退出码为0', () => {
+  const result = runCliProcess('call', selfServer, 'list_sessions');
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /执行状态\*\*: ✅ 成功/);
+});
+
+test('CLI: --config启动的服务器继承当前环境变量并合并条目中的env和cwd', async () => {
+  const serverFile = path.join(tmpDir, 'env-server.mjs');
+  await fs.writeFile(serverFile, `
+import { McpServer } from ${JSON.stringify(import.meta.resolve('@modelcontextprotocol/sdk/server/mcp.js'))};
+import { StdioServerTransport } from ${JSON.stringify(import.meta.resolve('@modelcontextprotocol/sdk/server/stdio.js'))};
+const server = new McpServer({ name: 'env-server', version: '1.0.0' });
+server.registerTool('env_info', { description: '返回工作目录和环境变量' }, async () => ({
+  content: [{ type: 'text', text: JSON.stringify({ cwd: process.cwd(), mode: process.env.MCP_TESTER_MODE ?? null, inherited: process.env.MCP_TESTER_INHERITED ?? null }) }]
+}));
+await server.connect(new StdioServerTransport());
+`);
+  await fs.mkdir(path.join(tmpDir, 'env-work'), { recursive: true });
+  const configPath = await writeServerConfig('config-env', {
+    mcpServers: { env: { command: process.execPath, args: [serverFile], env: { MCP_TESTER_MODE: 'test' }, cwd: '../env-work' } }
+  });
+
+  const result = spawnSync(process.execPath, [indexPath, 'call', 'env', 'env_info', '--config', configPath], {
+    encoding: 'utf-8',
+    timeout: 60000,
+    env: { ...process.env, MCP_TESTER_INHERITED: 'yes' }
+  });
+  assert.equal(result.status, 0, result.stderr);
+  const info = JSON.parse(/\{[^{}]*"cwd"[^{}]*\}/.exec(result.stdout)[0]);
+  assert.deepEqual(info, { cwd: await fs.realpath(path.join(tmpDir, 'env-work')), mode: 'test', inherited: 'yes' });
+});
+
+test('CLI: run按断言结果返回0或1，套件无效时返回2', async () => {
+  const write = async (name, cases) => {
+    const file = path.join(tmpDir, name);
+    await fs.writeFile(file, JSON.stringify({ server_command: selfServer, cases }));
+    return file;
+  };
+  const passing = await write('cli-pass.json', [{ tool: 'list_sessions', expect: { isError: false } }]);
+  const failing = await write('cli-fail.json', [{ tool: 'list_sessions', expect: { text_matches: '^不可能$' } }]);
+  const invalid = await write('cli-invalid.json', [{ tool: 'list_sessions', expect: { text_regex: 'x' } }]);
+
+  assert.equal(runCliProcess('run', passing).code, 0);
+  const failed = runCliProcess('run', failing, '--format', 'junit');
+  assert.equal(failed.code, 1);
+  assert.match(failed.stdout, /^<\?xml[\s\S]*failures="1"/);
+  const invalidRun = runCliProcess('run', invalid);
+  assert.equal(invalidRun.code, 2);
+  assert.match(invalidRun.stderr, /未知的断言: text_regex/);
+});